@@ -1,6 +1,7 @@
 require('dotenv').config();
 const express = require('express');
 const http = require('http');
+const https = require('https');
 const socketIo = require('socket.io');
 const mongoose = require('mongoose');
 const path = require('path'); 
@@ -8,6 +9,14 @@ const fs = require('fs');
 const multer = require('multer');
 const cloudinary = require('cloudinary').v2;
 const stream = require('stream');
+const crypto = require('crypto');
+const net = require('net');
+const sharp = require('sharp');
+const { encode: encodeBlurhash } = require('blurhash');
+const { createClient: createRedisClient } = require('redis');
+const { createAdapter: createRedisAdapter } = require('@socket.io/redis-adapter');
+const archiver = require('archiver');
+const { unfurlUrl, resolvePublicAddress, pinnedLookup } = require('./unfurl');
 
 const app = express();
 const server = http.createServer(app);
@@ -48,31 +57,250 @@ const upload = multer({
     limits: { fileSize: 5 * 1024 * 1024 } 
 });
 
+// --- STORAGE DRIVERS ---
+// Every driver exposes save(buffer, { mimeType, ext }) -> { url, key } and remove(key).
+// STORAGE_DRIVER picks one; without it we use Cloudinary when it's configured, local disk otherwise.
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, 'uploads');
+
+const storageDrivers = {
+    cloudinary: {
+        save(buffer, { mimeType }) {
+            return new Promise((resolve, reject) => {
+                const resourceType = mimeType.startsWith('video/') ? 'video' : 'image';
+                const uploadStream = cloudinary.uploader.upload_stream(
+                    { folder: 'chat_assets', resource_type: resourceType },
+                    (error, result) => {
+                        if (error) return reject(error);
+                        resolve({ url: result.secure_url, key: `${resourceType}:${result.public_id}` });
+                    }
+                );
+                const bufferStream = new stream.PassThrough();
+                bufferStream.end(buffer);
+                bufferStream.pipe(uploadStream);
+            });
+        },
+        async remove(key) {
+            const [resourceType, publicId] = key.split(/:(.+)/);
+            await cloudinary.uploader.destroy(publicId, { resource_type: resourceType });
+        }
+    },
+    local: {
+        async save(buffer, { ext }) {
+            await fs.promises.mkdir(UPLOAD_DIR, { recursive: true });
+            const key = `${generateId()}.${ext}`;
+            await fs.promises.writeFile(path.join(UPLOAD_DIR, key), buffer);
+            return { url: `/uploads/${key}`, key };
+        },
+        async remove(key) {
+            // Keys are generated by us, but never trust a path from the database
+            await fs.promises.unlink(path.join(UPLOAD_DIR, path.basename(key))).catch(err => {
+                if (err.code !== 'ENOENT') throw err;
+            });
+        }
+    }
+};
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+if (!storageDrivers[STORAGE_DRIVER]) throw new Error(`Unknown STORAGE_DRIVER "${STORAGE_DRIVER}"`);
+const storage = storageDrivers[STORAGE_DRIVER];
+console.log(`✅ Using ${STORAGE_DRIVER} storage for uploads`);
+
+// Allowed upload types and the magic bytes their content must start with
+const UPLOAD_TYPES = {
+    'image/png': { ext: 'png', test: b => b.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) },
+    'image/jpeg': { ext: 'jpg', test: b => b[0] === 0xFF && b[1] === 0xD8 && b[2] === 0xFF },
+    'image/gif': { ext: 'gif', test: b => b.slice(0, 4).toString('ascii') === 'GIF8' },
+    'image/webp': { ext: 'webp', test: b => b.slice(0, 4).toString('ascii') === 'RIFF' && b.slice(8, 12).toString('ascii') === 'WEBP' },
+    'video/mp4': { ext: 'mp4', test: b => b.slice(4, 8).toString('ascii') === 'ftyp' },
+    'video/webm': { ext: 'webm', test: b => b.slice(0, 4).equals(Buffer.from([0x1A, 0x45, 0xDF, 0xA3])) }
+};
+function validateUpload(file) {
+    const type = UPLOAD_TYPES[file.mimetype];
+    if (!type) return null;
+    if (file.buffer.length < 12 || !type.test(file.buffer)) return null;
+    return type;
+}
+
+// --- IMAGE PROCESSING ---
+const THUMBNAIL_SIZE = 320;
+const MAX_ATTACHMENTS = 10;
+
+// Strips EXIF (GPS etc.) by re-encoding, and builds a thumbnail plus size + blurhash metadata.
+// GIFs are stored as-is to keep animation; they carry no EXIF anyway.
+async function processImage(buffer, mimeType) {
+    let output = buffer;
+    if (mimeType !== 'image/gif') {
+        // rotate() bakes in the EXIF orientation before the metadata is dropped
+        output = await sharp(buffer).rotate().toBuffer();
+    }
+    const meta = await sharp(output).metadata();
+    const thumbnail = await sharp(output)
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 70 })
+        .toBuffer();
+    const { data, info } = await sharp(output)
+        .resize(32, 32, { fit: 'inside' })
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    const blurhash = encodeBlurhash(new Uint8ClampedArray(data), info.width, info.height, 4, 3);
+    return { buffer: output, thumbnail, width: meta.width, height: meta.pageHeight || meta.height, blurhash };
+}
+
+function toAttachment(record) {
+    return {
+        url: record.url,
+        thumbnailUrl: record.thumbnailUrl || null,
+        mimeType: record.mimeType || null,
+        width: record.width || null,
+        height: record.height || null,
+        blurhash: record.blurhash || null,
+        size: record.size || null
+    };
+}
+
 const io = socketIo(server, { maxHttpBufferSize: 1e7 });
 
-app.set('trust proxy', 1); 
+// Hops of X-Forwarded-For added by our own reverse proxies; anything further left is client-supplied
+const TRUSTED_PROXY_HOPS = 1;
+app.set('trust proxy', TRUSTED_PROXY_HOPS);
+
+// --- SHARED STATE (multi-instance) ---
+// With REDIS_URL set, rooms and broadcasts go through the Socket.IO Redis adapter and
+// presence / VC / screen-share entries live in Redis, so several instances can run behind
+// one load balancer. Without it the in-memory store keeps everything in this process.
+const REDIS_URL = process.env.REDIS_URL || '';
+const INSTANCE_ID = process.env.INSTANCE_ID || crypto.randomBytes(6).toString('hex');
+const INSTANCE_TTL = 30 * 1000; // entries of an instance that stops heartbeating are ignored, then purged
+const SHARED_COLLECTIONS = ['presence', 'vc', 'screens', 'leaving', 'botcommands'];
+
+// Each collection is a map of field -> JSON value owned by this instance; getAll merges every live instance
+function createMemoryStateStore() {
+    const data = {};
+    return {
+        async set(collection, field, value) { (data[collection] = data[collection] || new Map()).set(field, value); },
+        async get(collection, field) { return data[collection] ? data[collection].get(field) || null : null; },
+        async remove(collection, field) { if (data[collection]) data[collection].delete(field); },
+        async getAll(collection) { return data[collection] ? [...data[collection].values()] : []; },
+        async heartbeat() {},
+        async close() {}
+    };
+}
+function createRedisStateStore(client) {
+    const keyFor = (collection, instance = INSTANCE_ID) => `chat:${collection}:${instance}`;
+    async function liveInstances() {
+        const beats = await client.hGetAll('chat:instances');
+        return Object.keys(beats).filter(id => Date.now() - Number(beats[id]) < INSTANCE_TTL);
+    }
+    return {
+        async set(collection, field, value) { await client.hSet(keyFor(collection), field, JSON.stringify(value)); },
+        // Checks this instance first, then every other live one
+        async get(collection, field) {
+            const own = await client.hGet(keyFor(collection), field);
+            if (own) return JSON.parse(own);
+            for (const id of await liveInstances()) {
+                if (id === INSTANCE_ID) continue;
+                const raw = await client.hGet(keyFor(collection, id), field);
+                if (raw) return JSON.parse(raw);
+            }
+            return null;
+        },
+        async remove(collection, field) { await client.hDel(keyFor(collection), field); },
+        async getAll(collection) {
+            const result = [];
+            for (const id of await liveInstances()) {
+                const entries = await client.hGetAll(keyFor(collection, id));
+                Object.values(entries).forEach(raw => result.push(JSON.parse(raw)));
+            }
+            return result;
+        },
+        // Marks this instance alive and purges whatever crashed instances left behind
+        async heartbeat() {
+            await client.hSet('chat:instances', INSTANCE_ID, String(Date.now()));
+            const beats = await client.hGetAll('chat:instances');
+            for (const [id, beat] of Object.entries(beats)) {
+                if (Date.now() - Number(beat) < INSTANCE_TTL * 2) continue;
+                await client.del(SHARED_COLLECTIONS.map(c => keyFor(c, id)));
+                await client.hDel('chat:instances', id);
+            }
+        },
+        async close() {
+            await client.del(SHARED_COLLECTIONS.map(c => keyFor(c)));
+            await client.hDel('chat:instances', INSTANCE_ID);
+        }
+    };
+}
+let stateStore = createMemoryStateStore();
+let clusterEnabled = false;
+
+async function setupSharedState() {
+    if (!REDIS_URL) return;
+    let connected = false;
+    // Give up on startup if Redis never answers; once connected, keep retrying forever
+    const reconnectStrategy = retries => (!connected && retries > 5) ? new Error('Redis unreachable') : Math.min(retries * 200, 2000);
+    const pubClient = createRedisClient({ url: REDIS_URL, socket: { reconnectStrategy } });
+    const subClient = pubClient.duplicate();
+    [pubClient, subClient].forEach(c => c.on('error', e => console.error("Redis Error", e.message)));
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+    connected = true;
+
+    await enableCluster(createRedisAdapter(pubClient, subClient), createRedisStateStore(pubClient));
+    setInterval(() => stateStore.heartbeat().catch(e => console.error("Heartbeat Error", e)), INSTANCE_TTL / 3);
+    console.log(`Shared state on Redis (instance ${INSTANCE_ID})`);
+}
+// Any adapter with serverSideEmit plus a store shaped like the two above; the tests plug in local stand-ins
+async function enableCluster(adapter, store) {
+    io.adapter(adapter);
+    stateStore = store;
+    clusterEnabled = true;
+    await stateStore.heartbeat();
+}
+// Tells the other instances to refresh a local cache. The default adapter has no peers.
+function publishClusterEvent(event, data = {}) {
+    if (clusterEnabled) io.serverSideEmit(event, data);
+}
+io.on('sanctions-changed', () => { reloadSanctions().catch(e => console.error("Sanction Reload Error", e)); });
+io.on('channels-changed', async () => {
+    try { await reloadChannels(); sendLocalChannelLists(); } catch (e) { console.error("Channel Reload Error", e); }
+});
+io.on('role-changed', ({ username, role }) => {
+    Object.keys(users).forEach(id => {
+        if (users[id].username.toLowerCase() !== username.toLowerCase()) return;
+        users[id].role = role;
+        trackPresence(id);
+    });
+});
+io.on('sidebar-refresh', () => { refreshLocalSidebars(); });
+io.on('webhooks-changed', () => { loadOutgoingWebhooks().catch(e => console.error("Webhook Reload Error", e)); });
+io.on('vc-force', ({ socketId, room }) => {
+    if (io.sockets.sockets.has(socketId)) forceVoiceAction(socketId, room).catch(e => console.error("Voice Move Error", e));
+});
 
 // --- MONGODB CONNECTION ---
 const mongoURI = process.env.MONGO_URI || 'mongodb://localhost:27017/simplechat';
-mongoose.connect(mongoURI)
-    .then(async () => {
+function connectDatabase() {
+    return mongoose.connect(mongoURI).then(async () => {
         console.log('MongoDB Connected');
         try {
-            const savedMessages = await Message.find().sort({ timestamp: -1 }).limit(MAX_HISTORY).lean();
-            messageHistory.push(...savedMessages.reverse());
+            // Make sure the configured owner always keeps the owner role
+            await User.updateOne({ username: OWNER_USERNAME }, { role: 'owner' });
         } catch (err) { console.error(err); }
 
+        try { await loadChannels(); } catch (err) { console.error("Channel load error", err); }
+
+        try { await loadOutgoingWebhooks(); } catch (err) { console.error("Webhook load error", err); }
+
+        startScheduler();
+
+        try { await migrateEmbeddedDMs(); } catch (err) { console.error("DM migration error", err); }
+
         try {
             const savedMotd = await Config.findOne({ key: 'motd' });
             if (savedMotd) serverMOTD = savedMotd.value;
         } catch (err) { console.error(err); }
 
-        try {
-            const allBans = await Ban.find({});
-            allBans.forEach(ban => bannedIPs.set(ban.ip, true));
-        } catch (err) { console.error(err); }
-    })
-    .catch(err => console.log('MongoDB Connection Error:', err));
+        try { await loadSanctions(); } catch (err) { console.error(err); }
+    }).catch(err => console.log('MongoDB Connection Error:', err));
+}
 
 // --- SCHEMAS ---
 const userSchema = new mongoose.Schema({
@@ -83,59 +311,331 @@ const userSchema = new mongoose.Schema({
     avatar: String,
     banner: { type: String, default: "" },           
     customBackground: { type: String, default: "" }, 
+    passwordHash: { type: String, select: false },
+    passwordSalt: { type: String, select: false },
+    role: { type: String, enum: ['owner', 'admin', 'moderator', 'member'], default: 'member' },
     lastIp: String, 
-    lastSeen: { type: Date, default: Date.now }
+    lastSeen: { type: Date, default: Date.now },
+    deletedAt: { type: Date, default: null }, // set on the "Deleted User" placeholder left by account deletion
+    isBot: { type: Boolean, default: false },
+    botOwner: String,
+    apiTokenHash: { type: String, select: false }, // bots log in over Socket.IO with the matching token
+    claimCodeHash: { type: String, select: false }, // lets the owner of a pre-password account set a password
+    claimCodeExpires: { type: Date, select: false }
 });
 const User = mongoose.models.User || mongoose.model('User', userSchema);
 
+// expiresAt: null means permanent. The TTL index lets MongoDB drop expired entries on its own.
 const banSchema = new mongoose.Schema({
-    username: String, ip: String, bannedAt: { type: Date, default: Date.now }, bannedBy: String
+    username: String, ip: String, reason: { type: String, default: "" }, bannedAt: { type: Date, default: Date.now }, bannedBy: String, expiresAt: { type: Date, default: null }
 });
+banSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 const Ban = mongoose.models.Ban || mongoose.model('Ban', banSchema);
 
+const muteSchema = new mongoose.Schema({
+    username: String, // lowercase
+    reason: { type: String, default: "" }, mutedAt: { type: Date, default: Date.now }, mutedBy: String, expiresAt: { type: Date, default: null }
+});
+muteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+const Mute = mongoose.models.Mute || mongoose.model('Mute', muteSchema);
+
+// Uploaded file shown inline with a message. Size + blurhash let clients reserve space before it loads.
+const linkPreviewSchema = new mongoose.Schema({
+    url: String, title: String, description: String, image: String, siteName: String
+}, { _id: false });
+
+const attachmentSchema = new mongoose.Schema({
+    url: String, thumbnailUrl: String, mimeType: String, width: Number, height: Number, blurhash: String, size: Number
+}, { _id: false });
+
+// One entry per emoji, listing who reacted with it
+const reactionSchema = new mongoose.Schema({ emoji: String, users: [String] }, { _id: false });
+
+// Poll messages: one entry in `votes` per voter, `option` indexes into options
+const pollSchema = new mongoose.Schema({
+    question: String,
+    options: [String],
+    votes: { type: [new mongoose.Schema({ username: String, option: Number }, { _id: false })], default: [] },
+    closesAt: Date,
+    closed: { type: Boolean, default: false }
+}, { _id: false });
+
 const messageSchema = new mongoose.Schema({
     id: String, 
     sender: String, 
     senderDisplayName: String, 
     text: String, 
-    image: String, 
+    image: String, // legacy: first attachment url
+    attachments: { type: [attachmentSchema], default: [] },
+    linkPreviews: { type: [linkPreviewSchema], default: [] },
+    mentions: { users: [String], here: Boolean, everyone: Boolean },
     avatar: String, 
     time: String, 
-    replyTo: Object, 
+    replyTo: Object, // { id, sender, senderDisplayName, text } of the parent, filled in by the server
+    threadId: String, // id of the thread's root message
+    replyCount: { type: Number, default: 0 },
+    lastReplyAt: Date,
     type: String, 
     channel: { type: String, default: 'main' }, // NEW: Track which group channel
+    bot: { type: Boolean, default: false }, // sent by a bot account or an incoming webhook
+    webhookId: String,
+    poll: { type: pollSchema, default: undefined }, // only on type 'poll'
     isEdited: { type: Boolean, default: false }, 
+    editedAt: Date,
+    reactions: { type: [reactionSchema], default: [] },
     timestamp: { type: Date, default: Date.now }
 });
+messageSchema.index({ id: 1 });
+messageSchema.index({ threadId: 1, timestamp: -1 });
+messageSchema.index({ text: 'text' });
 messageSchema.index({ timestamp: -1 }); 
 const Message = mongoose.models.Message || mongoose.model('Message', messageSchema);
 
+// One document per conversation. Messages live in their own collection so paging stays fast.
 const dmSchema = new mongoose.Schema({
     participants: [String], 
-    messages: [{ id: String, replyTo: Object, sender: String, senderDisplayName: String, text: String, image: String, avatar: String, time: String, isEdited: { type: Boolean, default: false }, timestamp: { type: Date, default: Date.now } }]
+    lastMessageAt: { type: Date, default: Date.now }
 });
 dmSchema.index({ participants: 1 });
 const DM = mongoose.models.DM || mongoose.model('DM', dmSchema);
 
+const dmMessageSchema = new mongoose.Schema({
+    id: String,
+    conversation: String, // sorted participants joined with '|'
+    participants: [String],
+    replyTo: Object, 
+    threadId: String,
+    replyCount: { type: Number, default: 0 },
+    lastReplyAt: Date,
+    sender: String, 
+    senderDisplayName: String, 
+    text: String, 
+    image: String, // legacy: first attachment url
+    attachments: { type: [attachmentSchema], default: [] },
+    linkPreviews: { type: [linkPreviewSchema], default: [] },
+    encrypted: { type: Object, default: undefined }, // E2EE envelope; `text` is empty and the server can't read it
+    avatar: String, 
+    time: String, 
+    type: { type: String, default: 'pm' },
+    isEdited: { type: Boolean, default: false }, 
+    editedAt: Date,
+    reactions: { type: [reactionSchema], default: [] },
+    timestamp: { type: Date, default: Date.now }
+});
+dmMessageSchema.index({ conversation: 1, timestamp: -1 });
+dmMessageSchema.index({ id: 1 });
+dmMessageSchema.index({ threadId: 1, timestamp: -1 });
+dmMessageSchema.index({ text: 'text' });
+const DMMessage = mongoose.models.DMMessage || mongoose.model('DMMessage', dmMessageSchema);
+
+// Public halves of each device's E2EE key pair (ECDH P-256, base64 SPKI). Private keys never leave the device.
+// Removed keys are only retired: nobody encrypts to them anymore, but messages they sent stay decryptable.
+const deviceKeySchema = new mongoose.Schema({
+    username: String,
+    deviceId: String,
+    publicKey: String,
+    createdAt: { type: Date, default: Date.now },
+    lastSeen: { type: Date, default: Date.now },
+    revokedAt: { type: Date, default: null }
+});
+deviceKeySchema.index({ username: 1, deviceId: 1 }, { unique: true });
+const DeviceKey = mongoose.models.DeviceKey || mongoose.model('DeviceKey', deviceKeySchema);
+
+const auditLogSchema = new mongoose.Schema({
+    action: String, 
+    actor: String, 
+    target: String, 
+    details: String, 
+    channel: String,
+    timestamp: { type: Date, default: Date.now }
+});
+auditLogSchema.index({ timestamp: -1 });
+const AuditLog = mongoose.models.AuditLog || mongoose.model('AuditLog', auditLogSchema);
+
+const channelSchema = new mongoose.Schema({
+    name: { type: String, unique: true }, // lowercase, no '#'
+    topic: { type: String, default: "" },
+    creator: String,
+    isPrivate: { type: Boolean, default: false },
+    members: [String], // only used for private channels
+    archived: { type: Boolean, default: false },
+    createdAt: { type: Date, default: Date.now }
+});
+const Channel = mongoose.models.Channel || mongoose.model('Channel', channelSchema);
+
+// Last message each user has read, per channel ('channel:<name>') and per DM ('dm:<username>')
+const readStateSchema = new mongoose.Schema({
+    username: String,
+    key: String,
+    lastReadMessageId: String,
+    lastReadAt: Date
+});
+readStateSchema.index({ username: 1, key: 1 }, { unique: true });
+const ReadState = mongoose.models.ReadState || mongoose.model('ReadState', readStateSchema);
+
+// Every stored file, so files nobody references anymore can be cleaned up
+const uploadSchema = new mongoose.Schema({
+    url: { type: String, unique: true },
+    key: String,
+    driver: String,
+    uploader: String,
+    mimeType: String,
+    size: Number,
+    thumbnailUrl: String,
+    thumbnailKey: String,
+    width: Number,
+    height: Number,
+    blurhash: String,
+    createdAt: { type: Date, default: Date.now }
+});
+const Upload = mongoose.models.Upload || mongoose.model('Upload', uploadSchema);
+
+// Mentions that arrived while the user was offline
+const mentionSchema = new mongoose.Schema({
+    username: String,
+    messageId: String,
+    channel: String,
+    sender: String,
+    senderDisplayName: String,
+    text: String,
+    read: { type: Boolean, default: false },
+    timestamp: { type: Date, default: Date.now }
+});
+mentionSchema.index({ username: 1, read: 1, timestamp: -1 });
+const Mention = mongoose.models.Mention || mongoose.model('Mention', mentionSchema);
+
+// Incoming hooks post into `channel` through a secret URL; outgoing hooks get that channel's events POSTed to `url`
+const webhookSchema = new mongoose.Schema({
+    id: { type: String, unique: true },
+    kind: { type: String, enum: ['incoming', 'outgoing'] },
+    name: String,
+    channel: String,
+    avatar: { type: String, default: "" },
+    tokenHash: { type: String, select: false }, // incoming only
+    url: String, // outgoing only
+    secret: { type: String, select: false }, // outgoing only, signs each delivery
+    creator: String,
+    lastStatus: { type: String, default: "" },
+    createdAt: { type: Date, default: Date.now }
+});
+webhookSchema.index({ kind: 1, channel: 1 });
+const Webhook = mongoose.models.Webhook || mongoose.model('Webhook', webhookSchema);
+
+// Persistent scheduled work (reminders, announcements, poll closing). Any instance may claim
+// a due job; the lock keeps the others off it until it expires.
+const jobSchema = new mongoose.Schema({
+    id: { type: String, unique: true },
+    kind: String, // key of JOB_HANDLERS
+    runAt: Date,
+    payload: Object,
+    status: { type: String, enum: ['pending', 'running', 'done', 'failed', 'cancelled'], default: 'pending' },
+    attempts: { type: Number, default: 0 },
+    lockedBy: String,
+    lockedUntil: Date,
+    lastError: String,
+    createdBy: String,
+    createdAt: { type: Date, default: Date.now },
+    finishedAt: Date
+});
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ createdBy: 1, kind: 1, status: 1 });
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+const Job = mongoose.models.Job || mongoose.model('Job', jobSchema);
+
 const configSchema = new mongoose.Schema({ key: { type: String, unique: true }, value: String });
 const Config = mongoose.models.Config || mongoose.model('Config', configSchema);
 
 // --- State Management ---
+// `users` / `vcUsers` only hold sockets connected to this instance; see stateStore for the shared view
 const users = {}; 
 const vcUsers = {}; 
-const messageHistory = []; 
 const MAX_HISTORY = 20; 
+const MAX_PAGE_SIZE = 50; 
 const userAvatarCache = {}; 
 let serverMOTD = "Welcome to the C&C Corp chat! Play nice."; 
-const mutedUsers = new Set(); 
+// In-memory mirrors of the Mute / Ban collections: key -> { reason, expiresAt }
+const mutedUsers = new Map(); // lowercase username
 const bannedIPs = new Map();  
-const ADMIN_USERNAME = 'kl_'; 
-
-// NEW: Track Screen Shares
-const activeScreenShares = new Set(); 
-
+const bannedUsers = new Map(); // lowercase username
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+const OWNER_USERNAME = process.env.OWNER_USERNAME || 'kl_'; 
+
+// --- ROLES + PERMISSIONS ---
+const ROLE_RANK = { member: 0, moderator: 1, admin: 2, owner: 3 };
+const channels = {}; // name -> lean Channel doc, mirrors the Channel collection
+const DEFAULT_CHANNELS = ['main', 'school', 'random'];
+const CHANNEL_NAME_PATTERN = /^[a-z0-9_-]{1,32}$/;
+
+// Named voice rooms; members share the Socket.IO room `vc:<name>`
+const VOICE_ROOMS = (process.env.VOICE_ROOMS || 'general,gaming,music').split(',')
+    .map(name => name.trim().toLowerCase()).filter(name => CHANNEL_NAME_PATTERN.test(name));
+// WebRTC signaling: simple-peer payload types we relay, and a cap well above a video SDP
+const SIGNAL_TYPES = ['offer', 'answer', 'candidate', 'renegotiate', 'transceiverRequest'];
+const SIGNAL_MAX_BYTES = 32 * 1024;
+// TURN credentials follow the coturn REST API scheme (use-auth-secret / static-auth-secret)
+const splitUrls = value => (value || '').split(',').map(url => url.trim()).filter(Boolean);
+const STUN_URLS = splitUrls(process.env.STUN_URLS || 'stun:stun.l.google.com:19302');
+const TURN_URLS = splitUrls(process.env.TURN_URLS);
+const TURN_SECRET = process.env.TURN_SECRET || '';
+const TURN_TTL = parseInt(process.env.TURN_TTL, 10) || 60 * 60; // seconds
+
+// Integrations
+const outgoingWebhooks = {}; // channel -> [outgoing Webhook docs with secret], mirrors the collection
+const WEBHOOK_RETRY_DELAYS = [2000, 15000, 60000]; // after the first attempt
+const WEBHOOK_TIMEOUT = 5000;
+const BOT_COMMAND_PATTERN = /^[a-z0-9_-]{1,32}$/;
+
+// Scheduler
+const SCHEDULER_INTERVAL = 5000;
+const JOB_LOCK_MS = 60 * 1000;
+const JOB_MAX_ATTEMPTS = 3;
+const MAX_SCHEDULE_AHEAD = 365 * 24 * 60 * 60 * 1000;
+const MAX_PENDING_REMINDERS = 25;
+const POLL_DEFAULT_DURATION = 24 * 60 * 60 * 1000;
+const POLL_MAX_DURATION = 30 * 24 * 60 * 60 * 1000;
+const POLL_MAX_OPTIONS = 10;
+
+// End-to-end encrypted DMs
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+const MAX_DEVICES_PER_USER = 10;
+const PUBLIC_KEY_MAX_LENGTH = 512;
+const ENVELOPE_MAX_BYTES = 64 * 1024;
+
+// Local disconnect grace timers; the pending leave itself is shared via the 'leaving' collection
 const disconnectTimeouts = {}; 
 
+// Typing indicators: socket.id -> { channel, target, timer }
+const typingStates = {};
+const TYPING_TIMEOUT = 6000;
+
+const SEARCH_PAGE_SIZE = 20;
+const SEARCH_MAX_PAGES = 10;
+const UNREAD_CAP = 99; // badges show 99 at most, no need to count further
+
+// Link previews (fetching and parsing live in unfurl.js)
+const UNFURL_MAX_LINKS = 3;
+const UNFURL_CACHE_SIZE = 500;
+const UNFURL_CACHE_TTL = 6 * 60 * 60 * 1000;
+const UNFURL_FAIL_TTL = 10 * 60 * 1000;
+const unfurlCache = new Map(); // url -> { preview, expiresAt }, oldest first
+const unfurlInFlight = new Map(); // url -> Promise
+
+// Flood protection: this many rate-limit hits or repeats inside the window earns an automatic mute
+const FLOOD_STRIKE_LIMIT = 3;
+const FLOOD_WINDOW = 60 * 1000;
+const FLOOD_MUTE_DURATION = 5 * 60 * 1000;
+const DUPLICATE_WINDOW = 30 * 1000;
+const DUPLICATE_LIMIT = 3; // identical messages in a row before it counts as spam
+const floodStrikes = new Map(); // lowercase username -> [timestamps]
+const recentMessages = new Map(); // lowercase username -> { text, count, at }
+
+// --- AUTH CONFIG ---
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+const SESSION_COOKIE = 'chat_session';
+const SESSION_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+const CLAIM_CODE_TTL = 24 * 60 * 60 * 1000;
+if (!process.env.SESSION_SECRET) console.log("⚠️ SESSION_SECRET not set. Sessions will not survive a restart.");
+
 // --- Utility Functions ---
 function generateId() { return Date.now().toString(36) + Math.random().toString(36).substr(2); }
 
@@ -150,7 +650,7 @@ function formatMessage(sender, text, avatar = null, image = null, isPm = false,
     if (sender === 'System' || sender === 'Announcement') {
         return { id: generateId(), text, sender, senderDisplayName: sender, avatar: null, time, type: 'system', timestamp: now };
     }
-    return { id: generateId(), text, image, sender, senderDisplayName: finalDisplayName, avatar: finalAvatar, time, replyTo, type: isPm ? 'pm' : 'general', isEdited: false, timestamp: now };
+    return { id: generateId(), text, image, sender, senderDisplayName: finalDisplayName, avatar: finalAvatar, time, replyTo, type: isPm ? 'pm' : 'general', isEdited: false, reactions: [], timestamp: now };
 }
 
 async function savePublicMessage(msgObj, channel = 'main') {
@@ -162,24 +662,50 @@ async function savePublicMessage(msgObj, channel = 'main') {
             senderDisplayName: msgObj.senderDisplayName, 
             text: msgObj.text, 
             image: msgObj.image, 
+            attachments: msgObj.attachments || [],
+            mentions: msgObj.mentions,
             avatar: msgObj.avatar, 
             time: msgObj.time, 
             replyTo: msgObj.replyTo, 
+            threadId: msgObj.threadId,
             type: msgObj.type, 
             channel: channel,
+            bot: !!msgObj.bot,
+            webhookId: msgObj.webhookId,
+            poll: msgObj.poll,
             isEdited: msgObj.isEdited || false, 
             timestamp: msgObj.timestamp || new Date()
         }).save();
     } catch (err) { console.error("Error saving public message:", err); }
 }
 
+function getConversationKey(a, b) { return [a, b].sort().join('|'); }
+
 async function savePrivateMessage(sender, target, msgObj) {
     const participants = [sender, target].sort();
     try {
+        await new DMMessage({
+            id: msgObj.id,
+            conversation: getConversationKey(sender, target),
+            participants,
+            replyTo: msgObj.replyTo,
+            threadId: msgObj.threadId,
+            sender: msgObj.sender,
+            senderDisplayName: msgObj.senderDisplayName,
+            text: msgObj.text,
+            image: msgObj.image,
+            attachments: msgObj.attachments || [],
+            encrypted: msgObj.encrypted,
+            avatar: msgObj.avatar,
+            time: msgObj.time,
+            type: msgObj.type,
+            isEdited: msgObj.isEdited || false,
+            timestamp: msgObj.timestamp || new Date()
+        }).save();
         await DM.findOneAndUpdate(
             { participants: participants },
             { 
-                $push: { messages: msgObj }, 
+                lastMessageAt: msgObj.timestamp || new Date(), 
                 $setOnInsert: { participants: participants } 
             },
             { upsert: true }
@@ -187,49 +713,2013 @@ async function savePrivateMessage(sender, target, msgObj) {
     } catch (e) { console.error("Error saving DM:", e); }
 }
 
-function broadcastVCUserList() { io.emit('vc-user-list-update', Object.values(vcUsers)); }
-function addToHistory(msgObj) {
-    messageHistory.push(msgObj);
-    if (messageHistory.length > MAX_HISTORY) messageHistory.shift(); 
+// Older builds embedded every DM in one ever-growing array on the DM document.
+// Move those into the DMMessage collection once, then drop the array. Messages are upserted by id,
+// so a restart between the copy and the $unset doesn't duplicate anything.
+async function migrateEmbeddedDMs() {
+    const legacy = await DM.collection.find({ 'messages.0': { $exists: true } }).toArray();
+    for (const doc of legacy) {
+        const participants = [...doc.participants].sort();
+        const conversation = participants.join('|');
+        const docs = doc.messages.map((m, i) => ({
+            id: m.id || `legacy-${doc._id}-${i}`, conversation, participants, replyTo: m.replyTo, sender: m.sender,
+            senderDisplayName: m.senderDisplayName, text: m.text, image: m.image, attachments: m.image ? [{ url: m.image }] : [], avatar: m.avatar,
+            time: m.time, type: 'pm', isEdited: m.isEdited || false, editedAt: m.editedAt, timestamp: m.timestamp || new Date()
+        }));
+        if (docs.length) await DMMessage.bulkWrite(docs.map(d => ({
+            updateOne: { filter: { id: d.id, conversation }, update: { $setOnInsert: d }, upsert: true }
+        })), { ordered: false });
+        const last = docs.length ? docs[docs.length - 1].timestamp : new Date();
+        await DM.collection.updateOne({ _id: doc._id }, { $unset: { messages: '' }, $set: { lastMessageAt: last } });
+    }
+    if (legacy.length) console.log(`✅ Migrated ${legacy.length} DM conversations`);
+}
+
+// --- CHANNELS ---
+async function loadChannels() {
+    for (const name of DEFAULT_CHANNELS) {
+        await Channel.updateOne({ name }, { $setOnInsert: { name, creator: 'System' } }, { upsert: true });
+    }
+    await reloadChannels();
+}
+async function reloadChannels() {
+    const all = await Channel.find({}).lean();
+    Object.keys(channels).forEach(name => { delete channels[name]; });
+    all.forEach(c => { channels[c.name] = c; });
+}
+function normalizeChannelName(name) {
+    if (typeof name !== 'string') return null;
+    const clean = name.trim().replace(/^#/, '').toLowerCase();
+    return CHANNEL_NAME_PATTERN.test(clean) ? clean : null;
+}
+function canAccessChannel(user, channel) {
+    if (!channel || channel.archived) return false;
+    if (!channel.isPrivate) return true;
+    if (!user) return false;
+    return isAdmin(user) || channel.members.some(m => m.toLowerCase() === user.username.toLowerCase());
+}
+function canManageChannel(user, channel) {
+    return !!user && !!channel && (isAdmin(user) || channel.creator === user.username);
+}
+function getChannelListFor(user) {
+    return Object.values(channels)
+        .filter(c => canAccessChannel(user, c))
+        .sort((a, b) => (a.name === 'main' ? -1 : b.name === 'main' ? 1 : a.name.localeCompare(b.name)))
+        .map(c => ({ name: c.name, topic: c.topic, creator: c.creator, isPrivate: c.isPrivate }));
 }
-function findSocketIdByUsername(username) {
-    return Object.keys(users).find(id => users[id].username.toLowerCase() === username.toLowerCase());
+// The list is filtered per user, so each instance sends it to its own sockets
+function sendLocalChannelLists() {
+    io.sockets.sockets.forEach(s => s.emit('channel-list', getChannelListFor(users[s.id])));
 }
+function broadcastChannelList() {
+    sendLocalChannelLists();
+    publishClusterEvent('channels-changed');
+}
+
+// --- TYPING INDICATORS ---
+// Every room except the socket's own id, its user room and voice rooms is a text channel
+function getChannelRooms(socket) {
+    return [...socket.rooms].filter(room => room !== socket.id && !room.startsWith('user:') && !room.startsWith('vc:'));
+}
+function getCurrentChannel(socket) {
+    return getChannelRooms(socket)[0] || null;
+}
+// Tells whoever was watching that this socket stopped typing
+function clearTyping(socket) {
+    const state = typingStates[socket.id];
+    if (!state) return;
+    clearTimeout(state.timer);
+    delete typingStates[socket.id];
+    if (state.target) emitToUser(state.target, 'stop-typing', state.username, { dm: true });
+    else if (state.channel) socket.to(state.channel).emit('stop-typing', state.username, { channel: state.channel });
+}
+
+// --- UPLOAD CLEANUP ---
+async function isUploadReferenced(url) {
+    const [inMessages, inDMs, inProfiles] = await Promise.all([
+        Message.exists({ $or: [{ image: url }, { 'attachments.url': url }] }),
+        DMMessage.exists({ $or: [{ image: url }, { 'attachments.url': url }] }),
+        User.exists({ $or: [{ avatar: url }, { banner: url }, { customBackground: url }] })
+    ]);
+    return !!(inMessages || inDMs || inProfiles);
+}
+// Deletes the stored file behind `url` once nothing points at it anymore
+async function releaseUpload(url) {
+    if (!url || typeof url !== 'string') return;
+    try {
+        const record = await Upload.findOne({ url }).lean();
+        if (!record || await isUploadReferenced(url)) return;
+        const driver = storageDrivers[record.driver];
+        if (driver) {
+            await driver.remove(record.key);
+            if (record.thumbnailKey) await driver.remove(record.thumbnailKey);
+        }
+        await Upload.deleteOne({ _id: record._id });
+    } catch (e) { console.error("Upload Cleanup Error", e); }
+}
+// Builds attachment objects from the URLs a client sent. Metadata comes from our Upload records,
+// never from the client; URLs we didn't store are passed through bare.
+async function resolveAttachments(list) {
+    const urls = (Array.isArray(list) ? list : [])
+        .map(a => (typeof a === 'string' ? a : a && a.url))
+        .filter(u => typeof u === 'string' && u)
+        .slice(0, MAX_ATTACHMENTS);
+    if (!urls.length) return [];
+    const records = await Upload.find({ url: { $in: urls } }).lean();
+    return urls.map(url => {
+        const record = records.find(r => r.url === url);
+        return record ? toAttachment(record) : { url };
+    });
+}
+async function cleanupOrphanedUploads() {
+    const records = await Upload.find({}, { url: 1 }).lean();
+    for (const record of records) await releaseUpload(record.url);
+}
+
+// --- LINK PREVIEWS ---
+// Cached per URL (failures too, for a shorter time) and de-duplicated while in flight
+async function getLinkPreview(url) {
+    const cached = unfurlCache.get(url);
+    if (cached && cached.expiresAt > Date.now()) return cached.preview;
+    if (unfurlInFlight.has(url)) return unfurlInFlight.get(url);
+
+    const pending = unfurlUrl(url)
+        .catch(() => null)
+        .then(preview => {
+            unfurlInFlight.delete(url);
+            unfurlCache.delete(url);
+            unfurlCache.set(url, { preview, expiresAt: Date.now() + (preview ? UNFURL_CACHE_TTL : UNFURL_FAIL_TTL) });
+            if (unfurlCache.size > UNFURL_CACHE_SIZE) unfurlCache.delete(unfurlCache.keys().next().value);
+            return preview;
+        });
+    unfurlInFlight.set(url, pending);
+    return pending;
+}
+function extractUrls(text) {
+    if (!text) return [];
+    const found = text.match(/https?:\/\/[^\s<>"']+/g) || [];
+    return [...new Set(found.map(u => u.replace(/[.,!?)\]]+$/, '')))].slice(0, UNFURL_MAX_LINKS);
+}
+// Runs after a message is saved; pushes the previews as a follow-up message-updated
+async function attachLinkPreviews(msgObj, kind) {
+    const urls = extractUrls(msgObj.text);
+    if (!urls.length && !(msgObj.linkPreviews && msgObj.linkPreviews.length)) return;
+    try {
+        const linkPreviews = (await Promise.all(urls.map(getLinkPreview))).filter(Boolean);
+        const Model = kind === 'channel' ? Message : DMMessage;
+        const updated = await Model.findOneAndUpdate({ id: msgObj.id }, { linkPreviews }, { new: true }).lean();
+        if (!updated) return;
+        emitToMessageAudience({ kind, msg: updated }, 'message-updated', { id: msgObj.id, linkPreviews });
+    } catch (e) { console.error("Link Preview Error", e); }
+}
+
+// --- MENTIONS ---
+const MAX_MENTIONS = 20;
+const THREAD_PAGE_SIZE = 30;
+
+// Finds @username, @here and @everyone. Only admins may use @everyone.
+async function resolveMentions(text, user) {
+    const mentions = { users: [], here: false, everyone: false, deniedEveryone: false };
+    if (!text || !text.includes('@')) return mentions;
+    const names = new Set();
+    (text.match(/(^|[^\w@])@([a-zA-Z0-9_.-]+)/g) || []).forEach(m => {
+        const name = m.slice(m.indexOf('@') + 1).replace(/\.+$/, '');
+        const lower = name.toLowerCase();
+        if (lower === 'here') mentions.here = true;
+        else if (lower === 'everyone') {
+            if (isAdmin(user)) mentions.everyone = true;
+            else mentions.deniedEveryone = true;
+        }
+        else if (name) names.add(lower);
+    });
+    if (names.size) {
+        const found = await User.find({ username: { $in: [...names].slice(0, MAX_MENTIONS).map(n => new RegExp(`^${escapeRegex(n)}$`, 'i')) } }, 'username').lean();
+        mentions.users = found.map(u => u.username);
+    }
+    return mentions;
+}
+// Live `mention` event for online users, a stored inbox entry for everyone else
+async function notifyMentions(msgObj, mentions, channelName) {
+    const channel = channels[channelName];
+    const senderLower = msgObj.sender.toLowerCase();
+    const targets = new Set(mentions.users);
+    const onlineUsers = await getOnlineUsers();
+    const onlineNames = new Set(onlineUsers.map(u => u.username.toLowerCase()));
+
+    if (mentions.here || mentions.everyone) {
+        onlineUsers.forEach(u => targets.add(u.username));
+    }
+    if (mentions.everyone) {
+        try {
+            const everyone = await User.find({ deletedAt: null }, 'username').lean();
+            everyone.forEach(u => targets.add(u.username));
+        } catch (e) { console.error("Mention Lookup Error", e); }
+    }
+
+    const payload = { messageId: msgObj.id, channel: channelName, sender: msgObj.sender, senderDisplayName: msgObj.senderDisplayName, text: msgObj.text, timestamp: msgObj.timestamp };
+    const offline = [];
+    // Private channel members only; role is needed for admin access
+    let roles = new Map();
+    if (channel && channel.isPrivate) {
+        try { roles = await getUserRoles([...targets]); } catch (e) { console.error("Mention Lookup Error", e); }
+    }
+    for (const username of targets) {
+        if (username.toLowerCase() === senderLower) continue;
+        const accessUser = { username, role: roles.get(username.toLowerCase()) || 'member' };
+        if (!canAccessChannel(accessUser, channel)) continue;
+        if (onlineNames.has(username.toLowerCase())) emitToUser(username, 'mention', payload);
+        else offline.push({ ...payload, username });
+    }
+    if (offline.length) {
+        try { await Mention.insertMany(offline); } catch (e) { console.error("Mention Save Error", e); }
+    }
+}
+async function sendMentionInbox(socket, username) {
+    try {
+        const inbox = await Mention.find({ username, read: false }).sort({ timestamp: -1 }).limit(50).lean();
+        socket.emit('mention-inbox', inbox);
+    } catch (e) { console.error("Mention Inbox Error", e); }
+}
+
+// --- THREADS ---
+// Checks that the parent exists in the same channel / DM and builds the trusted replyTo + threadId.
+// Replies to replies join the root's thread, so threads stay one level deep.
+async function resolveReplyTarget(replyTo, scope) {
+    const parentId = typeof replyTo === 'string' ? replyTo : (replyTo && replyTo.id);
+    if (typeof parentId !== 'string' || !parentId) return null;
+    const Model = scope.channel ? Message : DMMessage;
+    const filter = scope.channel ? { id: parentId, channel: scope.channel } : { id: parentId, conversation: scope.conversation };
+    const parent = await Model.findOne(filter).lean();
+    if (!parent || parent.type === 'system') return null;
+    return {
+        replyTo: { id: parent.id, sender: parent.sender, senderDisplayName: parent.senderDisplayName, text: (parent.text || '').slice(0, 200) },
+        threadId: parent.threadId || parent.id
+    };
+}
+// Bumps the root's reply count and tells everyone looking at it
+async function updateThreadRoot(threadId, kind, delta, replyAt) {
+    const Model = kind === 'channel' ? Message : DMMessage;
+    const update = { $inc: { replyCount: delta } };
+    if (replyAt) update.$set = { lastReplyAt: replyAt };
+    const root = await Model.findOneAndUpdate({ id: threadId }, update, { new: true }).lean();
+    if (!root) return null;
+    emitToMessageAudience({ kind, msg: root }, 'message-updated', { id: threadId, replyCount: root.replyCount, lastReplyAt: root.lastReplyAt });
+    return root;
+}
+// Root author and everyone who replied before, minus the new reply's sender
+async function notifyThreadParticipants(root, reply, kind) {
+    try {
+        const Model = kind === 'channel' ? Message : DMMessage;
+        const repliers = await Model.distinct('sender', { threadId: root.id });
+        const participants = new Set([root.sender, ...repliers]);
+        participants.delete(reply.sender);
+        const onlineNames = new Set((await getOnlineUsers()).map(u => u.username.toLowerCase()));
+        const channel = kind === 'channel' ? channels[root.channel] : null;
+        const roles = channel && channel.isPrivate ? await getUserRoles([...participants]) : new Map();
+        for (const username of participants) {
+            if (!onlineNames.has(username.toLowerCase())) continue;
+            if (kind === 'channel' && !canAccessChannel({ username, role: roles.get(username.toLowerCase()) || 'member' }, channel)) continue;
+            if (kind === 'dm' && !root.participants.includes(username)) continue;
+            emitToUser(username, 'thread-reply', {
+                threadId: root.id, channel: kind === 'channel' ? root.channel : null, dm: kind === 'dm', messageId: reply.id,
+                sender: reply.sender, senderDisplayName: reply.senderDisplayName, text: reply.text, timestamp: reply.timestamp
+            });
+        }
+    } catch (e) { console.error("Thread Notify Error", e); }
+}
+
+// --- MESSAGE LOOKUP ---
+// Looks up a message by id in the channel collection first, then in DMs.
+async function findMessageById(id) {
+    const channelMsg = await Message.findOne({ id });
+    if (channelMsg) return { kind: 'channel', msg: channelMsg };
+    const dmMsg = await DMMessage.findOne({ id });
+    if (dmMsg) return { kind: 'dm', msg: dmMsg };
+    return null;
+}
+function canSeeMessage(user, found) {
+    if (!user || !found) return false;
+    if (found.kind === 'channel') return canAccessChannel(user, channels[found.msg.channel || 'main']);
+    return found.msg.participants.includes(user.username);
+}
+// Sends an event to whoever can see the message: its channel room, or both DM participants
+function emitToMessageAudience(found, event, data) {
+    if (found.kind === 'channel') io.to(found.msg.channel || 'main').emit(event, data);
+    else found.msg.participants.forEach(p => emitToUser(p, event, data));
+}
+
+// --- SEARCH ---
+// Splits "from:bob in:#school has:image before:2024-05-01 some words" into filters + free text
+function parseSearchQuery(raw) {
+    const parsed = { text: [], from: null, inChannel: null, inDm: null, has: [], before: null, after: null };
+    (raw || '').trim().split(/\s+/).forEach(token => {
+        const match = /^(from|in|has|before|after|during):(.+)$/i.exec(token);
+        if (!match) { if (token) parsed.text.push(token); return; }
+        const [, key, value] = match;
+        switch (key.toLowerCase()) {
+            case 'from': parsed.from = value.replace(/^@/, ''); break;
+            case 'in':
+                if (value.startsWith('@')) parsed.inDm = value.slice(1);
+                else parsed.inChannel = normalizeChannelName(value) || '__none__';
+                break;
+            case 'has': parsed.has.push(value.toLowerCase()); break;
+            case 'before': parsed.before = new Date(value); break;
+            case 'after': parsed.after = new Date(value); break;
+            case 'during': {
+                const day = new Date(value);
+                parsed.after = day;
+                parsed.before = new Date(day.getTime() + DURATION_UNITS.d);
+                break;
+            }
+        }
+    });
+    parsed.text = parsed.text.join(' ');
+    return parsed;
+}
+function buildSearchFilter(parsed) {
+    const filter = { type: { $ne: 'system' } };
+    if (parsed.text) filter.$text = { $search: parsed.text };
+    if (parsed.from) filter.sender = new RegExp(`^${escapeRegex(parsed.from)}$`, 'i');
+    if (parsed.has.includes('image')) filter.$or = [{ image: { $nin: [null, ''] } }, { 'attachments.0': { $exists: true } }];
+    if (parsed.has.includes('link')) filter.text = /https?:\/\//i;
+    const range = {};
+    if (parsed.before && !isNaN(parsed.before)) range.$lt = parsed.before;
+    if (parsed.after && !isNaN(parsed.after)) range.$gte = parsed.after;
+    if (Object.keys(range).length) filter.timestamp = range;
+    return filter;
+}
+// Channel messages the user can see plus their own DMs, newest first
+async function searchMessages(user, rawQuery, page = 0) {
+    const parsed = parseSearchQuery(rawQuery);
+    const pageNum = Math.min(Math.max(parseInt(page, 10) || 0, 0), SEARCH_MAX_PAGES - 1);
+    const needed = (pageNum + 1) * SEARCH_PAGE_SIZE + 1;
+    const base = buildSearchFilter(parsed);
+    let results = [];
+
+    if (!parsed.inDm) {
+        const allowed = getChannelListFor(user).map(c => c.name);
+        const channelFilter = parsed.inChannel ? (allowed.includes(parsed.inChannel) ? [parsed.inChannel] : []) : allowed;
+        if (channelFilter.length) {
+            const found = await Message.find({ ...base, channel: { $in: channelFilter } }).sort({ timestamp: -1 }).limit(needed).lean();
+            results.push(...found.map(m => ({ ...m, context: { channel: m.channel } })));
+        }
+    }
+    if (!parsed.inChannel) {
+        const dmFilter = parsed.inDm
+            ? { conversation: getConversationKey(user.username, parsed.inDm) }
+            : { participants: user.username };
+        const found = await DMMessage.find({ ...base, ...dmFilter }).sort({ timestamp: -1 }).limit(needed).lean();
+        results.push(...found.map(m => ({ ...m, context: { target: m.participants.find(p => p !== user.username) || user.username } })));
+    }
+
+    results.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    const start = pageNum * SEARCH_PAGE_SIZE;
+    const pageResults = results.slice(start, start + SEARCH_PAGE_SIZE).map(m => ({
+        id: m.id, sender: m.sender, senderDisplayName: m.senderDisplayName, text: m.text, image: m.image, attachments: m.attachments,
+        time: m.time, timestamp: m.timestamp, context: m.context
+    }));
+    return { results: pageResults, page: pageNum, hasMore: results.length > start + SEARCH_PAGE_SIZE && pageNum < SEARCH_MAX_PAGES - 1 };
+}
+
+// Cursor paging: returns up to `limit` messages older than `before` (a message id or a timestamp), oldest first.
+async function fetchMessagePage(Model, filter, before, limit = MAX_HISTORY) {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || MAX_HISTORY, 1), MAX_PAGE_SIZE);
+    const query = { ...filter };
+
+    if (before) {
+        const cursorMsg = await Model.findOne({ ...filter, id: before }, { timestamp: 1 }).lean();
+        if (cursorMsg) {
+            query.$or = [
+                { timestamp: { $lt: cursorMsg.timestamp } },
+                { timestamp: cursorMsg.timestamp, _id: { $lt: cursorMsg._id } }
+            ];
+        } else {
+            const beforeDate = new Date(before);
+            if (isNaN(beforeDate.getTime())) return { messages: [], hasMore: false };
+            query.timestamp = { $lt: beforeDate };
+        }
+    }
+
+    const page = await Model.find(query).sort({ timestamp: -1, _id: -1 }).limit(pageSize + 1).lean();
+    const hasMore = page.length > pageSize;
+    if (hasMore) page.pop();
+    return { messages: page.reverse(), hasMore };
+}
+
+// VC members and screen shares are stored per socket so every instance sees the same lists
+async function syncVCUser(socketId) {
+    if (vcUsers[socketId]) await stateStore.set('vc', socketId, vcUsers[socketId]);
+    else await stateStore.remove('vc', socketId);
+}
+// --- VOICE ROOMS ---
+function voiceRoom(name) { return `vc:${name}`; }
+function normalizeVoiceRoom(name) {
+    if (typeof name !== 'string') return null;
+    const clean = name.trim().replace(/^#/, '').toLowerCase();
+    return VOICE_ROOMS.includes(clean) ? clean : null;
+}
+// Every room with its members for the sidebar; `speaking` only goes to the room itself
+async function broadcastVoiceRooms() {
+    try {
+        const members = await stateStore.getAll('vc');
+        io.emit('vc-rooms-update', VOICE_ROOMS.map(name => ({
+            name,
+            users: members.filter(m => m.room === name).map(({ speaking, ...member }) => member)
+        })));
+    } catch (e) { console.error("VC List Error", e); }
+}
+async function joinVoiceRoom(socket, room, state = {}) {
+    const user = users[socket.id];
+    if (!user) return;
+    if (vcUsers[socket.id]) await leaveVoiceRoom(socket, false);
+    vcUsers[socket.id] = {
+        id: socket.id, username: user.username, displayName: user.displayName, avatar: user.avatar, room,
+        muted: !!state.muted || !!state.deafened, deafened: !!state.deafened, speaking: false
+    };
+    socket.join(voiceRoom(room));
+    await syncVCUser(socket.id);
+    socket.emit('vc-joined', { room });
+    socket.to(voiceRoom(room)).emit('vc-user-joined', socket.id);
+    broadcastVoiceRooms();
+}
+async function leaveVoiceRoom(socket, broadcast = true) {
+    const entry = vcUsers[socket.id];
+    if (!entry) return;
+    delete vcUsers[socket.id];
+    socket.leave(voiceRoom(entry.room));
+    await syncVCUser(socket.id);
+    io.to(voiceRoom(entry.room)).emit('vc-user-left', socket.id);
+    if (broadcast) broadcastVoiceRooms();
+}
+// Shape check for simple-peer payloads before they are relayed
+function isValidSignal(signal) {
+    if (!signal || typeof signal !== 'object' || Array.isArray(signal)) return false;
+    if (!SIGNAL_TYPES.includes(signal.type)) return false;
+    if (JSON.stringify(signal).length > SIGNAL_MAX_BYTES) return false;
+    if (signal.type === 'offer' || signal.type === 'answer') return typeof signal.sdp === 'string';
+    if (signal.type === 'candidate') return !!signal.candidate && typeof signal.candidate.candidate === 'string';
+    return true;
+}
+// STUN list plus, when configured, a TURN entry whose username carries its own expiry
+function getIceServers(username) {
+    const iceServers = STUN_URLS.length ? [{ urls: STUN_URLS }] : [];
+    if (TURN_SECRET && TURN_URLS.length) {
+        const turnUsername = `${Math.floor(Date.now() / 1000) + TURN_TTL}:${username}`;
+        const credential = crypto.createHmac('sha1', TURN_SECRET).update(turnUsername).digest('base64');
+        iceServers.push({ urls: TURN_URLS, username: turnUsername, credential });
+    }
+    return iceServers;
+}
+// Admin move (room set) or disconnect (room null), forwarded to whichever instance owns the socket
+async function forceVoiceAction(socketId, room) {
+    const target = io.sockets.sockets.get(socketId);
+    if (!target) { publishClusterEvent('vc-force', { socketId, room }); return; }
+    if (room) {
+        // Tell the client first so it drops its old peers before the new room starts signaling
+        target.emit('vc-moved', { room });
+        await joinVoiceRoom(target, room, vcUsers[socketId]);
+    } else {
+        await leaveVoiceRoom(target);
+        target.emit('vc-kicked');
+    }
+}
+async function getScreenShares() {
+    return [...new Set((await stateStore.getAll('screens')).map(entry => entry.username))];
+}
+async function broadcastScreenShares() {
+    try { io.emit('screen-share-update', await getScreenShares()); } catch (e) { console.error("Screen Share Error", e); }
+}
+// History comes from Mongo so every instance serves the same backlog
+async function getChannelHistory(channelName) {
+    const filter = channelName === 'main' ? { channel: { $in: ['main', null] } } : { channel: channelName };
+    const recent = await Message.find(filter).sort({ timestamp: -1 }).limit(MAX_HISTORY).lean();
+    return recent.reverse();
+}
+function getRoleRank(role) { return ROLE_RANK[role] || 0; }
+function hasPermission(user, action) {
+    const command = commandRegistry.get(action);
+    if (!user || !command) return false;
+    return canUseCommand(user, command);
+}
+function isAdmin(user) { return !!user && getRoleRank(user.role) >= ROLE_RANK.admin; }
+async function getUserRole(username) {
+    const live = findLocalUser(username);
+    if (live) return live.role || 'member';
+    try {
+        const dbUser = await findUserByName(username, 'role').lean();
+        return dbUser ? (dbUser.role || 'member') : null;
+    } catch (e) { return null; }
+}
+// Roles for many stored usernames (exact spelling) with one query for the ones not online here; keyed lowercase
+async function getUserRoles(usernames) {
+    const roles = new Map();
+    const missing = [];
+    usernames.forEach(username => {
+        const live = findLocalUser(username);
+        if (live) roles.set(username.toLowerCase(), live.role || 'member');
+        else missing.push(username);
+    });
+    if (missing.length) {
+        const found = await User.find({ username: { $in: missing } }, 'username role').lean();
+        found.forEach(u => roles.set(u.username.toLowerCase(), u.role || 'member'));
+    }
+    return roles;
+}
+// --- RATE LIMITING ---
+// Token bucket: `capacity` burst, refilled at `refillPerSecond`
+function createRateLimiter(capacity, refillPerSecond) {
+    const buckets = new Map();
+    return {
+        take(key) {
+            const now = Date.now();
+            let bucket = buckets.get(key);
+            if (!bucket) { bucket = { tokens: capacity, last: now }; buckets.set(key, bucket); }
+            bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.last) / 1000) * refillPerSecond);
+            bucket.last = now;
+            if (bucket.tokens < 1) return false;
+            bucket.tokens -= 1;
+            return true;
+        },
+        // Drop buckets that have refilled completely, they behave the same as missing ones
+        prune() {
+            const now = Date.now();
+            buckets.forEach((bucket, key) => {
+                if (bucket.tokens + ((now - bucket.last) / 1000) * refillPerSecond >= capacity) buckets.delete(key);
+            });
+        }
+    };
+}
+const rateLimiters = {
+    message: { user: createRateLimiter(5, 1), ip: createRateLimiter(12, 2) },
+    dm: { user: createRateLimiter(5, 1), ip: createRateLimiter(12, 2) },
+    upload: { user: createRateLimiter(3, 1 / 20), ip: createRateLimiter(6, 1 / 10) },
+    account: { user: createRateLimiter(3, 1 / 60), ip: createRateLimiter(6, 1 / 30) },
+    profile: { user: createRateLimiter(3, 1 / 10), ip: createRateLimiter(6, 1 / 5) },
+    // Trickle ICE sends a burst of candidates per peer
+    signal: { user: createRateLimiter(120, 30), ip: createRateLimiter(240, 60) },
+    // Incoming webhooks are limited per hook id rather than per user
+    webhook: { user: createRateLimiter(10, 1), ip: createRateLimiter(30, 3) },
+    vote: { user: createRateLimiter(5, 1), ip: createRateLimiter(12, 2) },
+    // Every edit re-unfurls links and re-fires webhooks
+    edit: { user: createRateLimiter(5, 1 / 2), ip: createRateLimiter(12, 1) },
+    // Login and register attempts, per target username and per address, to slow password guessing
+    auth: { user: createRateLimiter(5, 1 / 60), ip: createRateLimiter(20, 1 / 15) }
+};
+setInterval(() => {
+    Object.values(rateLimiters).forEach(l => { l.user.prune(); l.ip.prune(); });
+    const cutoff = Date.now() - FLOOD_WINDOW;
+    floodStrikes.forEach((hits, key) => { if (!hits.some(t => t > cutoff)) floodStrikes.delete(key); });
+    recentMessages.forEach((entry, key) => { if (entry.at < Date.now() - DUPLICATE_WINDOW) recentMessages.delete(key); });
+}, 5 * 60 * 1000).unref();
+
+// One bucket per IPv4 address or IPv6 /64, since a single host usually holds a whole /64; mapped IPv4 counts as IPv4
+function rateLimitIpKey(ip) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+    if (mapped) return mapped[1];
+    if (!net.isIPv6(ip)) return ip;
+    const [head, tail = ''] = ip.split('::');
+    const headParts = head ? head.split(':') : [];
+    const tailParts = ip.includes('::') ? (tail ? tail.split(':') : []) : [];
+    const groups = [...headParts, ...Array(8 - headParts.length - tailParts.length).fill('0'), ...tailParts];
+    return groups.slice(0, 4).map(g => parseInt(g, 16).toString(16)).join(':') + '::/64';
+}
+function checkRateLimit(kind, username, ip) {
+    const limiter = rateLimiters[kind];
+    if (username && !limiter.user.take(username.toLowerCase())) return false;
+    if (ip && !limiter.ip.take(rateLimitIpKey(ip))) return false;
+    return true;
+}
+// True when the same text has been sent too many times in a row
+function isRepeatedMessage(username, text) {
+    if (!text) return false;
+    const key = username.toLowerCase();
+    const now = Date.now();
+    const last = recentMessages.get(key);
+    const normalized = text.trim().toLowerCase();
+    if (last && last.text === normalized && now - last.at < DUPLICATE_WINDOW) {
+        last.count++;
+        last.at = now;
+        return last.count > DUPLICATE_LIMIT;
+    }
+    recentMessages.set(key, { text: normalized, count: 1, at: now });
+    return false;
+}
+// Counts a flood strike and auto-mutes once the user collects too many. Staff are never auto-muted.
+async function recordFloodStrike(socket, user, why) {
+    if (getRoleRank(user.role) >= ROLE_RANK.moderator) return;
+    const key = user.username.toLowerCase();
+    const cutoff = Date.now() - FLOOD_WINDOW;
+    const hits = (floodStrikes.get(key) || []).filter(t => t > cutoff);
+    hits.push(Date.now());
+    floodStrikes.set(key, hits);
+    if (hits.length < FLOOD_STRIKE_LIMIT) return;
+
+    floodStrikes.delete(key);
+    const entry = await applyMute(user.username, FLOOD_MUTE_DURATION, `Automatic: ${why}`, 'System');
+    emitToUser(user.username, 'chat-message', formatMessage('System', `You have been muted ${describeSanction(entry)}. Slow down.`));
+    logModeration('auto-mute', 'System', user.username, why);
+}
+
+// --- MUTES + BANS ---
+function parseDuration(str) {
+    const match = /^(\d+)([smhdw])$/i.exec(str || '');
+    if (!match) return null;
+    const ms = parseInt(match[1], 10) * DURATION_UNITS[match[2].toLowerCase()];
+    return ms > 0 ? ms : null;
+}
+// Returns the entry if it is still active, dropping it from the map once expired
+function getActiveSanction(map, key) {
+    if (!key) return null;
+    const k = key.toLowerCase();
+    const entry = map.get(k);
+    if (!entry) return null;
+    if (entry.expiresAt && new Date(entry.expiresAt).getTime() <= Date.now()) {
+        map.delete(k);
+        return null;
+    }
+    return entry;
+}
+function describeSanction(entry) {
+    const until = entry.expiresAt ? `until ${new Date(entry.expiresAt).toLocaleString()}` : 'permanently';
+    return entry.reason ? `${until} (${entry.reason})` : until;
+}
+function findActiveBan(ip, username) {
+    return getActiveSanction(bannedIPs, ip) || getActiveSanction(bannedUsers, username);
+}
+async function loadSanctions() {
+    const active = { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] };
+    const allBans = await Ban.find(active).lean();
+    allBans.forEach(ban => {
+        const entry = { reason: ban.reason, expiresAt: ban.expiresAt };
+        if (ban.ip) bannedIPs.set(ban.ip, entry);
+        if (ban.username) bannedUsers.set(ban.username.toLowerCase(), entry);
+    });
+    const allMutes = await Mute.find(active).lean();
+    allMutes.forEach(mute => mutedUsers.set(mute.username, { reason: mute.reason, expiresAt: mute.expiresAt }));
+}
+// Another instance changed a mute or ban; rebuild the mirrors from Mongo
+async function reloadSanctions() {
+    mutedUsers.clear(); bannedIPs.clear(); bannedUsers.clear();
+    await loadSanctions();
+}
+async function applyMute(username, durationMs, reason, mutedBy) {
+    const key = username.toLowerCase();
+    const expiresAt = durationMs ? new Date(Date.now() + durationMs) : null;
+    const entry = { reason: reason || "", expiresAt };
+    mutedUsers.set(key, entry);
+    try {
+        await Mute.findOneAndUpdate({ username: key }, { reason: entry.reason, mutedBy, mutedAt: new Date(), expiresAt }, { upsert: true });
+    } catch (e) { console.error("Mute Save Error", e); }
+    publishClusterEvent('sanctions-changed');
+    return entry;
+}
+async function removeMute(username) {
+    const key = username.toLowerCase();
+    const existed = mutedUsers.delete(key);
+    try { await Mute.deleteMany({ username: key }); } catch (e) { console.error("Unmute Error", e); }
+    publishClusterEvent('sanctions-changed');
+    return existed;
+}
+// Bans the account and every IP we know for it, and kicks any live sockets
+async function applyBan(username, durationMs, reason, bannedBy) {
+    const expiresAt = durationMs ? new Date(Date.now() + durationMs) : null;
+    const entry = { reason: reason || "", expiresAt };
+    const ips = new Set();
+    // fetchSockets() also returns sockets connected to other instances
+    const liveSockets = await io.in(userRoom(username)).fetchSockets();
+    liveSockets.forEach(s => ips.add(getClientIp(s)));
+    try {
+        const dbUser = await findUserByName(username, 'lastIp').lean();
+        if (dbUser && dbUser.lastIp) ips.add(dbUser.lastIp);
+    } catch (e) {}
+
+    bannedUsers.set(username.toLowerCase(), entry);
+    ips.forEach(ip => bannedIPs.set(ip, entry));
+    try {
+        const docs = ips.size ? [...ips].map(ip => ({ username, ip, reason: entry.reason, bannedBy, expiresAt })) : [{ username, reason: entry.reason, bannedBy, expiresAt }];
+        await Ban.insertMany(docs);
+    } catch (e) { console.error("Ban Save Error", e); }
+    publishClusterEvent('sanctions-changed');
+
+    emitToUser(username, 'chat-message', formatMessage('System', `You have been banned ${describeSanction(entry)}.`));
+    io.in(userRoom(username)).disconnectSockets(true);
+    return { entry, ips: [...ips] };
+}
+async function removeBan(username) {
+    const key = username.toLowerCase();
+    let removed = 0;
+    try {
+        const bans = await Ban.find({ username: new RegExp(`^${escapeRegex(username)}$`, 'i') }).lean();
+        bans.forEach(ban => { if (ban.ip) bannedIPs.delete(ban.ip); });
+        removed = (await Ban.deleteMany({ _id: { $in: bans.map(b => b._id) } })).deletedCount;
+    } catch (e) { console.error("Unban Error", e); }
+    publishClusterEvent('sanctions-changed');
+    return bannedUsers.delete(key) || removed > 0;
+}
+// Parses "<user> [duration] [reason...]" for /mute and /ban; something shaped like a duration
+// that doesn't parse (e.g. "0m") is an error rather than part of the reason
+function parseSanctionArgs(args) {
+    const durationMs = parseDuration(args[1]);
+    if (!durationMs && /^\d+[a-z]+$/i.test(args[1] || '')) return { error: `Invalid duration '${args[1]}'. Use a positive number followed by s, m, h, d or w.` };
+    const reason = args.slice(durationMs ? 2 : 1).join(' ').slice(0, 200);
+    return { durationMs, reason };
+}
+
+async function logModeration(action, actor, target = null, details = "", channel = null) {
+    try { await new AuditLog({ action, actor, target, details, channel }).save(); } 
+    catch (e) { console.error("Audit Log Error", e); }
+}
+// --- PRESENCE ---
+// Every logged-in socket joins its user's room, so emits reach them on any instance
+function userRoom(username) { return `user:${username.toLowerCase()}`; }
+function findLocalUser(username) {
+    const lower = username.toLowerCase();
+    return Object.values(users).find(u => u.username.toLowerCase() === lower);
+}
+function emitToUser(username, event, data) { io.to(userRoom(username)).emit(event, data); }
+function trackPresence(socketId) {
+    const user = users[socketId];
+    return stateStore.set('presence', socketId, { id: socketId, username: user.username, displayName: user.displayName, avatar: user.avatar, role: user.role })
+        .catch(e => console.error("Presence Error", e));
+}
+// One entry per connected socket across all instances
+async function getOnlineUsers() { return stateStore.getAll('presence'); }
+async function findOnlineUser(username) {
+    const lower = username.toLowerCase();
+    return (await getOnlineUsers()).find(u => u.username.toLowerCase() === lower) || null;
+}
+// Same answer Express gives for req.ip: walk back from the socket through the trusted hops only
 function getClientIp(socket) {
-    const forwarded = socket.handshake.headers['x-forwarded-for'];
-    if (forwarded) return forwarded.split(',')[0].trim();
-    return socket.handshake.address;
+    const forwarded = String(socket.handshake.headers['x-forwarded-for'] || '').split(',').map(a => a.trim()).filter(Boolean);
+    const hops = [socket.handshake.address, ...forwarded.reverse()];
+    return hops[Math.min(TRUSTED_PROXY_HOPS, hops.length - 1)];
+}
+function escapeRegex(str) { return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); }
+function findUserByName(username, projection) {
+    return User.findOne({ username: new RegExp(`^${escapeRegex(username)}$`, 'i') }, projection);
 }
+
+// --- Password + Session Helpers ---
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, 64, (err, key) => {
+            if (err) return reject(err);
+            resolve({ hash: key.toString('hex'), salt });
+        });
+    });
+}
+async function verifyPassword(password, hash, salt) {
+    if (!hash || !salt) return false;
+    const attempt = await hashPassword(password, salt);
+    return crypto.timingSafeEqual(Buffer.from(attempt.hash, 'hex'), Buffer.from(hash, 'hex'));
+}
+// `a` is the account's _id, so the session dies with the account even if someone re-registers the name
+function signSession(account) {
+    const payload = Buffer.from(JSON.stringify({ u: account.username, a: String(account._id), iat: Date.now(), exp: Date.now() + SESSION_MAX_AGE })).toString('base64url');
+    const sig = crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest('base64url');
+    return `${payload}.${sig}`;
+}
+// Full payload { u, a, iat, exp }; older sessions may lack `a`, and the oldest `iat` too
+function readSession(token) {
+    if (!token || typeof token !== 'string') return null;
+    const [payload, sig] = token.split('.');
+    if (!payload || !sig) return null;
+    const expected = crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest('base64url');
+    if (sig.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) return null;
+    try {
+        const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (!data.u || !data.exp || data.exp < Date.now()) return null;
+        return data;
+    } catch (e) { return null; }
+}
+function parseCookies(header) {
+    const cookies = {};
+    if (!header) return cookies;
+    header.split(';').forEach(part => {
+        const idx = part.indexOf('=');
+        if (idx === -1) return;
+        const key = part.slice(0, idx).trim();
+        try { cookies[key] = decodeURIComponent(part.slice(idx + 1).trim()); } catch (e) {}
+    });
+    return cookies;
+}
+function setSessionCookie(req, res, account) {
+    res.cookie(SESSION_COOKIE, signSession(account), {
+        httpOnly: true, sameSite: 'lax', secure: req.secure, maxAge: SESSION_MAX_AGE
+    });
+}
+
+// --- UNREAD COUNTS ---
+async function getUnreadCounts(user) {
+    const username = user.username;
+    const result = { channels: {}, dms: {} };
+    const states = await ReadState.find({ username }).lean();
+    const readMap = {};
+    states.forEach(st => { readMap[st.key] = st.lastReadAt; });
+
+    // Never-read conversations count from when the account was created
+    const dbUser = await User.findOne({ username }, '_id').lean();
+    const since = dbUser ? dbUser._id.getTimestamp() : new Date();
+
+    for (const c of getChannelListFor(user)) {
+        const after = readMap[`channel:${c.name}`] || since;
+        const count = await Message.countDocuments(
+            { channel: c.name, timestamp: { $gt: after }, sender: { $ne: username }, type: { $ne: 'system' } },
+            { limit: UNREAD_CAP }
+        );
+        if (count) result.channels[c.name] = count;
+    }
+
+    result.dms = (await getDmUnreadCounts([username]))[username] || {};
+    return result;
+}
+// { username: { otherUser: count } } for several users at once, counted in a single aggregation
+async function getDmUnreadCounts(usernames) {
+    const result = {};
+    if (!usernames.length) return result;
+    usernames.forEach(u => { result[u] = {}; });
+    const [states, accounts, convos] = await Promise.all([
+        ReadState.find({ username: { $in: usernames }, key: /^dm:/ }).lean(),
+        User.find({ username: { $in: usernames } }, '_id username').lean(),
+        DM.find({ participants: { $in: usernames } }).lean()
+    ]);
+    const readAt = {};
+    states.forEach(st => { readAt[`${st.username}|${st.key}`] = st.lastReadAt; });
+    // Never-read conversations count from when the account was created
+    const since = {};
+    accounts.forEach(a => { since[a.username] = a._id.getTimestamp(); });
+
+    // Only conversations with something newer than the reader's position need counting
+    const branches = [];
+    convos.forEach(convo => {
+        convo.participants.forEach(username => {
+            if (!result[username]) return;
+            const other = convo.participants.find(p => p !== username);
+            if (!other) return;
+            const after = readAt[`${username}|dm:${other}`] || since[username] || new Date();
+            if (convo.lastMessageAt && convo.lastMessageAt <= after) return;
+            branches.push({ conversation: getConversationKey(username, other), sender: other, timestamp: { $gt: after } });
+        });
+    });
+    if (!branches.length) return result;
+
+    const counts = await DMMessage.aggregate([
+        { $match: { $or: branches } },
+        { $group: { _id: { conversation: '$conversation', sender: '$sender' }, count: { $sum: 1 } } }
+    ]);
+    counts.forEach(({ _id, count }) => {
+        const reader = _id.conversation.split('|').find(p => p !== _id.sender);
+        if (result[reader]) result[reader][_id.sender] = Math.min(count, UNREAD_CAP);
+    });
+    return result;
+}
+async function sendUnreadCounts(user) {
+    try { emitToUser(user.username, 'unread-counts', await getUnreadCounts(user)); }
+    catch (e) { console.error("Unread Count Error", e); }
+}
+
 async function broadcastSidebarRefresh() {
+    publishClusterEvent('sidebar-refresh');
+    await refreshLocalSidebars();
+}
+// Each logged-in socket gets the list with its own DM unread counts attached, counted for all of them at once
+async function refreshLocalSidebars() {
+    try {
+        const allDbUsers = await User.find({ deletedAt: null }).lean();
+        const onlineNames = new Set((await getOnlineUsers()).map(u => u.username));
+        const sidebarList = allDbUsers.map(u => ({
+            username: u.username,
+            displayName: u.displayName || u.username, 
+            avatar: u.avatar,
+            online: onlineNames.has(u.username)
+        }));
+
+        const unreadByUser = await getDmUnreadCounts([...new Set(Object.values(users).map(u => u.username))]);
+        for (const [id, s] of io.sockets.sockets) {
+            const dms = users[id] && unreadByUser[users[id].username];
+            s.emit('sidebar-user-list', dms ? sidebarList.map(u => ({ ...u, unread: dms[u.username] || 0 })) : sidebarList);
+        }
+    } catch (err) { console.error("Sidebar update error", err); }
+}
+
+// --- INTEGRATIONS: WEBHOOKS + BOTS ---
+function hashToken(token) { return crypto.createHash('sha256').update(token).digest('hex'); }
+function generateToken() { return crypto.randomBytes(24).toString('base64url'); }
+function isHttpUrl(value) {
+    try { return ['http:', 'https:'].includes(new URL(value).protocol); } catch (e) { return false; }
+}
+async function loadOutgoingWebhooks() {
+    const hooks = await Webhook.find({ kind: 'outgoing' }).select('+secret').lean();
+    Object.keys(outgoingWebhooks).forEach(channel => { delete outgoingWebhooks[channel]; });
+    hooks.forEach(hook => { (outgoingWebhooks[hook.channel] = outgoingWebhooks[hook.channel] || []).push(hook); });
+}
+// Receivers verify X-Chat-Signature: sha256=HMAC(secret, `${X-Chat-Timestamp}.${body}`)
+// POST pinned to an address that passed the private-address check, so neither the hook URL nor a DNS
+// change can aim deliveries at internal services; resolves with the status code
+async function postWebhook(url, headers, body) {
+    const target = new URL(url);
+    const resolved = await resolvePublicAddress(target.hostname);
+    const client = target.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+        const req = client.request(target, {
+            method: 'POST', headers: { ...headers, 'Content-Length': Buffer.byteLength(body) }, lookup: pinnedLookup(resolved)
+        }, (res) => { res.resume(); clearTimeout(deadline); resolve(res.statusCode); });
+        const deadline = setTimeout(() => req.destroy(Object.assign(new Error('Timed out'), { name: 'TimeoutError' })), WEBHOOK_TIMEOUT);
+        req.on('error', (err) => { clearTimeout(deadline); reject(err); });
+        req.end(body);
+    });
+}
+async function deliverWebhook(hook, body, deliveryId, attempt = 0) {
+    const timestamp = String(Date.now());
+    const signature = crypto.createHmac('sha256', hook.secret).update(`${timestamp}.${body}`).digest('hex');
+    let status = 'network error';
+    try {
+        const code = await postWebhook(hook.url, {
+            'Content-Type': 'application/json',
+            'User-Agent': 'SimpleChat-Webhooks/1.0',
+            'X-Chat-Delivery': deliveryId,
+            'X-Chat-Timestamp': timestamp,
+            'X-Chat-Signature': `sha256=${signature}`
+        }, body);
+        status = String(code);
+        // Other 4xx means the receiver rejected it, so retrying won't help
+        if ((code >= 200 && code < 300) || (code >= 400 && code < 500 && code !== 429)) {
+            Webhook.updateOne({ id: hook.id }, { lastStatus: status }).catch(() => {});
+            return;
+        }
+    } catch (e) {
+        if (e.message === 'Blocked private address') {
+            Webhook.updateOne({ id: hook.id }, { lastStatus: 'failed: blocked private address' }).catch(() => {});
+            return;
+        }
+        status = e.name === 'TimeoutError' ? 'timeout' : 'network error';
+    }
+
+    if (attempt < WEBHOOK_RETRY_DELAYS.length) {
+        setTimeout(() => deliverWebhook(hook, body, deliveryId, attempt + 1), WEBHOOK_RETRY_DELAYS[attempt]);
+    } else {
+        console.error(`Webhook ${hook.id} gave up after ${attempt + 1} attempts (${status})`);
+        Webhook.updateOne({ id: hook.id }, { lastStatus: `failed: ${status}` }).catch(() => {});
+    }
+}
+function dispatchOutgoingWebhooks(event, channel, data) {
+    const hooks = outgoingWebhooks[channel];
+    if (!hooks || !hooks.length) return;
+    const body = JSON.stringify({ event, channel, data, sentAt: new Date() });
+    hooks.forEach(hook => deliverWebhook(hook, body, generateId()));
+}
+function toWebhookMessage(msgObj) {
+    const { id, sender, senderDisplayName, text, type, attachments, replyTo, threadId, bot, timestamp } = msgObj;
+    return { id, sender, senderDisplayName, text, type, attachments: attachments || [], replyTo, threadId, bot: !!bot, timestamp };
+}
+// Bot commands are stored per bot socket so every instance can route them
+async function findBotCommand(name) {
+    const entries = await stateStore.getAll('botcommands');
+    for (const entry of entries) {
+        const command = entry.commands.find(c => c.name === name);
+        if (command) return { bot: entry.bot, ...command };
+    }
+    return null;
+}
+
+// --- E2EE DMs ---
+// The server only checks an envelope's shape: { v: 1, senderDevice, iv, ciphertext, keys: { deviceId: { iv, wrapped } } }
+function isValidEnvelope(envelope) {
+    if (!envelope || typeof envelope !== 'object' || envelope.v !== 1) return false;
+    if (typeof envelope.senderDevice !== 'string' || !DEVICE_ID_PATTERN.test(envelope.senderDevice)) return false;
+    if (typeof envelope.iv !== 'string' || typeof envelope.ciphertext !== 'string') return false;
+    if (!envelope.keys || typeof envelope.keys !== 'object') return false;
+    const entries = Object.entries(envelope.keys);
+    if (!entries.length || entries.length > MAX_DEVICES_PER_USER * 2) return false;
+    if (!entries.every(([deviceId, k]) => DEVICE_ID_PATTERN.test(deviceId) && k && typeof k.iv === 'string' && typeof k.wrapped === 'string')) return false;
+    return Buffer.byteLength(JSON.stringify(envelope)) <= ENVELOPE_MAX_BYTES;
+}
+function getDeviceKeys(username, retired = false) {
+    return DeviceKey.find({ username, revokedAt: retired ? { $ne: null } : null }, '-_id deviceId publicKey createdAt').sort({ createdAt: 1 }).lean();
+}
+// Tells everyone who has a DM with this user (and their own other devices) to re-fetch keys
+async function notifyDeviceKeysChanged(username) {
+    const convos = await DM.find({ participants: username }, 'participants').lean();
+    const contacts = new Set([username]);
+    convos.forEach(c => c.participants.forEach(p => contacts.add(p)));
+    contacts.forEach(contact => emitToUser(contact, 'device-keys-changed', { username }));
+}
+
+// --- SCHEDULER ---
+async function scheduleJob(kind, runAt, payload, createdBy) {
+    return new Job({ id: generateId(), kind, runAt, payload, createdBy }).save();
+}
+// "in 2h" or "at 2026-05-01T09:00" / "at 17:30" (next occurrence, server time) from the start of args;
+// returns the time plus the remaining words, or null
+function parseScheduleTime(args) {
+    let runAt = null;
+    if ((args[0] || '').toLowerCase() === 'in') {
+        const ms = parseDuration(args[1]);
+        if (ms) runAt = new Date(Date.now() + ms);
+    } else if ((args[0] || '').toLowerCase() === 'at' && args[1]) {
+        const clock = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(args[1]);
+        if (clock) {
+            runAt = new Date();
+            runAt.setHours(parseInt(clock[1], 10), parseInt(clock[2], 10), 0, 0);
+            if (runAt <= new Date()) runAt.setDate(runAt.getDate() + 1);
+        } else {
+            runAt = new Date(args[1]);
+        }
+    }
+    if (!runAt || isNaN(runAt) || runAt <= new Date() || runAt - Date.now() > MAX_SCHEDULE_AHEAD) return null;
+    return { runAt, rest: args.slice(2) };
+}
+// Whether the word after "in"/"at" is meant as a time, so "/server in the lobby ..." is still posted as text
+function looksLikeScheduleTime(token) {
+    return typeof token === 'string' && (/^\d/.test(token) || !isNaN(Date.parse(token)));
+}
+// A DM that both sides see live and in history; `to` may be the sender (a note to self)
+async function deliverDirectMessage(from, to, msgObj) {
+    await savePrivateMessage(from, to, msgObj);
+    const event = { from, to, message: msgObj };
+    emitToUser(from, 'dm-received', event);
+    if (to.toLowerCase() !== from.toLowerCase()) emitToUser(to, 'dm-received', event);
+}
+async function closePoll(messageId) {
+    const msg = await Message.findOneAndUpdate({ id: messageId, 'poll.closed': false }, { 'poll.closed': true }, { new: true }).lean();
+    if (!msg) return;
+    const channel = msg.channel || 'main';
+    io.to(channel).emit('poll-updated', { id: msg.id, poll: msg.poll });
+
+    const counts = msg.poll.options.map((_, i) => msg.poll.votes.filter(v => v.option === i).length);
+    const top = Math.max(...counts);
+    const winners = msg.poll.options.filter((_, i) => counts[i] === top);
+    const result = top === 0 ? 'no votes' : `${winners.join(' / ')} with ${top} vote${top === 1 ? '' : 's'}`;
+    const closedMsg = formatMessage('System', `📊 Poll closed: ${msg.poll.question} — ${result}`);
+    closedMsg.channel = channel;
+    io.to(channel).emit('chat-message', closedMsg);
+    savePublicMessage(closedMsg, channel);
+}
+// Why a scheduled message from `creator` should no longer go out, or null. Checked when it fires,
+// since the creator may have been muted, banned, demoted or removed from the channel in the meantime.
+async function checkScheduledSender(creator, minRole, channelName) {
+    const dbUser = await User.findOne({ username: creator }, 'username role deletedAt').lean();
+    if (!dbUser || dbUser.deletedAt) return 'creator no longer exists';
+    if (getActiveSanction(bannedUsers, creator)) return 'creator is banned';
+    if (getActiveSanction(mutedUsers, creator)) return 'creator is muted';
+    const user = { username: dbUser.username, role: dbUser.role || 'member' };
+    if (minRole && getRoleRank(user.role) < getRoleRank(minRole)) return `creator is no longer ${minRole}`;
+    if (channelName && !canAccessChannel(user, channels[channelName])) return `creator cannot post in #${channelName}`;
+    return null;
+}
+// A handler may return a reason instead of sending; the job is then cancelled rather than retried
+const JOB_HANDLERS = {
+    // { target: 'dm', to } or { target: 'channel', channel }, plus { text, creator, creatorDisplayName, avatar }
+    reminder: async (payload) => {
+        const blocked = await checkScheduledSender(payload.creator, null, payload.target === 'channel' ? payload.channel : null);
+        if (blocked) return blocked;
+        if (payload.target === 'channel') {
+            const msg = formatMessage('System', `⏰ Reminder from ${payload.creatorDisplayName}: ${payload.text}`);
+            msg.channel = payload.channel;
+            io.to(payload.channel).emit('chat-message', msg);
+            await savePublicMessage(msg, payload.channel);
+            return;
+        }
+        const recipient = await User.findOne({ username: payload.to }, 'deletedAt').lean();
+        if (!recipient || recipient.deletedAt) return 'recipient no longer exists';
+        const msg = formatMessage(payload.creator, `⏰ Reminder: ${payload.text}`, payload.avatar, null, true, null, payload.creatorDisplayName);
+        msg.type = 'reminder';
+        await deliverDirectMessage(payload.creator, payload.to, msg);
+    },
+    // Same as /server, just later, and only if the creator could still run /server
+    announcement: async (payload) => {
+        const blocked = await checkScheduledSender(payload.creator, commandRegistry.get('server').permission, null);
+        if (blocked) return blocked;
+        const serverMsg = formatMessage('Announcement', `: **${payload.text}**`);
+        io.emit('chat-message', serverMsg);
+        await savePublicMessage(serverMsg, payload.channel);
+        logModeration('server', payload.creator, null, `${payload.text} (scheduled)`, payload.channel);
+    },
+    'poll-close': async (payload) => closePoll(payload.messageId)
+};
+// Claims one due job, or one whose previous runner died mid-job
+function claimDueJob() {
+    const now = new Date();
+    return Job.findOneAndUpdate(
+        { $or: [{ status: 'pending', runAt: { $lte: now } }, { status: 'running', lockedUntil: { $lt: now } }] },
+        { status: 'running', lockedBy: INSTANCE_ID, lockedUntil: new Date(now.getTime() + JOB_LOCK_MS), $inc: { attempts: 1 } },
+        { sort: { runAt: 1 }, new: true }
+    ).lean();
+}
+async function runJob(job) {
+    try {
+        const handler = JOB_HANDLERS[job.kind];
+        if (!handler) throw new Error(`Unknown job kind ${job.kind}`);
+        const dropped = await handler(job.payload || {}, job);
+        await Job.updateOne({ id: job.id, lockedBy: INSTANCE_ID }, dropped
+            ? { status: 'cancelled', lastError: dropped, finishedAt: new Date() }
+            : { status: 'done', finishedAt: new Date() });
+    } catch (e) {
+        console.error("Job Error", job.kind, e);
+        const failed = job.attempts >= JOB_MAX_ATTEMPTS;
+        await Job.updateOne({ id: job.id, lockedBy: INSTANCE_ID }, failed
+            ? { status: 'failed', lastError: String(e.message || e), finishedAt: new Date() }
+            : { status: 'pending', lastError: String(e.message || e), runAt: new Date(Date.now() + job.attempts * 30 * 1000) });
+    }
+}
+let schedulerBusy = false;
+async function runDueJobs() {
+    if (schedulerBusy) return;
+    schedulerBusy = true;
+    try {
+        let job;
+        while ((job = await claimDueJob())) await runJob(job);
+    } catch (e) { console.error("Scheduler Error", e); }
+    finally { schedulerBusy = false; }
+}
+function startScheduler() {
+    runDueJobs();
+    setInterval(runDueJobs, SCHEDULER_INTERVAL).unref();
+}
+
+// --- SLASH COMMANDS ---
+// Each command declares its arguments, the minimum role needed (null = everyone) and a description;
+// usage text, /help and the client's autocomplete list are all generated from here.
+// run(ctx) gets { socket, user, sender, senderDisplayName, channel, dmTarget, replyTo, command, args, params, reply }
+// and may return { send: { text, type } } to post the result as the user's own message.
+const commandRegistry = new Map();
+function registerCommand(spec) {
+    commandRegistry.set(spec.name, { args: [], permission: null, targetsUser: false, ...spec });
+}
+function commandUsage(command) {
+    const args = command.args.map(a => {
+        const label = `${a.label || a.name}${a.rest ? '...' : ''}`;
+        return a.required ? `<${label}>` : `[${label}]`;
+    });
+    return [`/${command.name}`, ...args].join(' ');
+}
+function canUseCommand(user, command) {
+    return !command.permission || (!!user && getRoleRank(user.role) >= getRoleRank(command.permission));
+}
+// Built-ins the user may run plus whatever bots have registered
+async function getCommandListFor(user) {
+    const list = [...commandRegistry.values()]
+        .filter(c => canUseCommand(user, c))
+        .map(c => ({ name: c.name, usage: commandUsage(c), description: c.description, permission: c.permission, source: 'builtin' }));
+    (await stateStore.getAll('botcommands')).forEach(entry => entry.commands.forEach(c => {
+        if (list.some(existing => existing.name === c.name)) return;
+        list.push({ name: c.name, usage: `/${c.name}${c.usage ? ' ' + c.usage : ''}`, description: c.description, permission: null, source: entry.bot });
+    }));
+    return list.sort((a, b) => a.name.localeCompare(b.name));
+}
+// Sends the result of a command to everyone in the conversation it was run in
+function announce(ctx, text) {
+    const msg = formatMessage('System', text);
+    if (ctx.dmTarget) {
+        ctx.socket.emit('chat-message', msg);
+        emitToUser(ctx.dmTarget, 'chat-message', msg);
+        return;
+    }
+    msg.channel = ctx.channel;
+    io.to(ctx.channel).emit('chat-message', msg);
+    savePublicMessage(msg, ctx.channel);
+}
+async function runCommand(command, ctx) {
+    if (!canUseCommand(ctx.user, command)) return ctx.reply(`You need the ${command.permission} role to use /${command.name}.`);
+
+    const params = {};
+    for (let i = 0; i < command.args.length; i++) {
+        const arg = command.args[i];
+        const value = arg.rest ? ctx.args.slice(i).join(' ').trim() : ctx.args[i];
+        if (arg.required && !value) return ctx.reply(`Usage: ${commandUsage(command)}`);
+        params[arg.name] = value || null;
+    }
+    ctx.command = command;
+    ctx.params = params;
+
+    // Nobody can moderate someone at or above their own rank
+    const targetName = command.targetsUser ? params[command.args[0].name] : null;
+    if (targetName) {
+        const targetRole = await getUserRole(targetName);
+        if (targetRole === null) return ctx.reply(`User '${targetName}' not found.`);
+        if (getRoleRank(targetRole) >= getRoleRank(ctx.user.role)) return ctx.reply(`You cannot /${command.name} ${targetName} (${targetRole}).`);
+    }
+
+    try { return await command.run(ctx); }
+    catch (e) {
+        console.error(`/${command.name} Error`, e);
+        ctx.reply(`/${command.name} failed, try again later.`);
+    }
+}
+// Registered bot commands are relayed to the bot; false when no bot claims the name
+async function dispatchBotCommand(name, ctx) {
+    const botCommand = await findBotCommand(name);
+    if (!botCommand) return false;
+    emitToUser(botCommand.bot, 'bot-command', {
+        command: name, args: ctx.args, text: ctx.args.join(' '), channel: ctx.channel,
+        user: { username: ctx.sender, displayName: ctx.senderDisplayName, role: ctx.user.role }
+    });
+    return true;
+}
+
+registerCommand({
+    name: 'help',
+    args: [{ name: 'command' }],
+    description: 'List the commands you can use, or show how to use one',
+    run: async (ctx) => {
+        const list = await getCommandListFor(ctx.user);
+        if (ctx.params.command) {
+            const name = ctx.params.command.replace(/^\//, '').toLowerCase();
+            const entry = list.find(c => c.name === name);
+            if (!entry) return ctx.reply(`Unknown command /${name}.`);
+            const from = entry.source === 'builtin' ? (entry.permission ? ` (${entry.permission}+)` : '') : ` (bot: ${entry.source})`;
+            return ctx.reply(`${entry.usage}${from}\n${entry.description || 'No description.'}`);
+        }
+        ctx.reply(`Commands:\n${list.map(c => `${c.usage} — ${c.description || (c.source !== 'builtin' ? `from ${c.source}` : '')}`).join('\n')}`);
+    }
+});
+registerCommand({
+    name: 'msg',
+    args: [{ name: 'username', required: true }, { name: 'message', required: true, rest: true }],
+    description: 'Send a private message to someone who is online',
+    run: async (ctx) => {
+        const recipient = await findOnlineUser(ctx.params.username);
+        if (!recipient) return ctx.reply(`User '${ctx.params.username}' not found.`);
+        const pmObject = {
+            id: generateId(), text: ctx.params.message, type: 'private', sender: ctx.sender, senderDisplayName: ctx.senderDisplayName, target: recipient.username, time: new Date().toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' }), avatar: userAvatarCache[ctx.sender] || ctx.user.avatar, replyTo: ctx.replyTo
+        };
+        ctx.socket.emit('chat-message', pmObject);
+        emitToUser(recipient.username, 'chat-message', pmObject);
+    }
+});
+registerCommand({
+    name: 'me',
+    args: [{ name: 'action', required: true, rest: true }],
+    description: 'Describe what you are doing, e.g. /me waves',
+    run: async (ctx) => ({ send: { text: ctx.params.action, type: 'action' } })
+});
+registerCommand({
+    name: 'shrug',
+    args: [{ name: 'message', rest: true }],
+    description: 'Append ¯\\_(ツ)_/¯ to your message',
+    run: async (ctx) => ({ send: { text: `${ctx.params.message || ''} ¯\\_(ツ)_/¯`.trim() } })
+});
+registerCommand({
+    name: 'roll',
+    args: [{ name: 'dice' }],
+    description: 'Roll dice, e.g. /roll 2d6 (defaults to 1d6)',
+    run: async (ctx) => {
+        const match = /^(\d{0,2})d(\d{1,4})$/i.exec(ctx.params.dice || '1d6');
+        const count = match ? parseInt(match[1] || '1', 10) : 0;
+        const sides = match ? parseInt(match[2], 10) : 0;
+        if (count < 1 || count > 20 || sides < 2 || sides > 1000) return ctx.reply('Usage: /roll [NdM] with up to 20 dice of 2-1000 sides.');
+        const rolls = Array.from({ length: count }, () => crypto.randomInt(1, sides + 1));
+        const total = rolls.reduce((sum, n) => sum + n, 0);
+        announce(ctx, `🎲 ${ctx.senderDisplayName} rolled ${count}d${sides}: ${count > 1 ? `${rolls.join(' + ')} = ${total}` : total}`);
+    }
+});
+registerCommand({
+    name: 'poll',
+    args: [{ name: 'duration' }, { name: 'poll', label: 'question | option | option', required: true, rest: true }],
+    description: 'Start a poll that closes after the duration (default 1d), e.g. /poll 2h Pizza or tacos? | Pizza | Tacos',
+    run: async (ctx) => {
+        if (ctx.dmTarget) return ctx.reply('Polls only work in channels.');
+        const duration = parseDuration(ctx.args[0]);
+        const [question, ...options] = (duration ? ctx.args.slice(1) : ctx.args).join(' ').split('|').map(s => s.trim()).filter(Boolean);
+        if (!question || options.length < 2 || options.length > POLL_MAX_OPTIONS) return ctx.reply(`A poll needs a question and 2-${POLL_MAX_OPTIONS} options separated by |.`);
+        if (duration > POLL_MAX_DURATION) return ctx.reply('Polls can stay open for at most 30 days.');
+        const poll = {
+            question: question.slice(0, 200),
+            options: options.map(o => o.slice(0, 100)),
+            votes: [],
+            closesAt: new Date(Date.now() + (duration || POLL_DEFAULT_DURATION)),
+            closed: false
+        };
+        return { send: { text: poll.question, type: 'poll', poll } };
+    }
+});
+registerCommand({
+    name: 'remind',
+    args: [{ name: 'target', label: 'me|@user|#channel', required: true }, { name: 'when', label: 'in <time>|at <time>' }, { name: 'message', rest: true }],
+    description: 'Schedule a reminder, e.g. /remind me in 2h stretch. Also /remind list and /remind cancel <id>',
+    run: async (ctx) => {
+        const target = ctx.params.target.toLowerCase();
+        if (target === 'list') {
+            const jobs = await Job.find({ createdBy: ctx.sender, kind: 'reminder', status: 'pending' }).sort({ runAt: 1 }).lean();
+            const lines = jobs.map(j => `${j.id} ${new Date(j.runAt).toLocaleString()} → ${j.payload.target === 'channel' ? '#' + j.payload.channel : j.payload.to}: ${j.payload.text}`);
+            return ctx.reply(lines.length ? `Your reminders: ${lines.join(' | ')}` : 'You have no pending reminders.');
+        }
+        if (target === 'cancel') {
+            const job = ctx.args[1] && await Job.findOneAndUpdate(
+                { id: ctx.args[1], createdBy: ctx.sender, kind: 'reminder', status: 'pending' },
+                { status: 'cancelled', finishedAt: new Date() }
+            );
+            return ctx.reply(job ? `Cancelled reminder ${job.id}.` : 'Usage: /remind cancel <id> (see /remind list)');
+        }
+
+        const when = parseScheduleTime(ctx.args.slice(1));
+        const text = when ? when.rest.join(' ').trim().slice(0, 1000) : '';
+        if (!when || !text) return ctx.reply('Usage: /remind <me|@user|#channel> <in 2h|at 17:30|at 2026-05-01T09:00> <message>');
+
+        const payload = { text, creator: ctx.sender, creatorDisplayName: ctx.senderDisplayName, avatar: ctx.user.avatar };
+        let label;
+        if (target === 'me') {
+            Object.assign(payload, { target: 'dm', to: ctx.sender });
+            label = 'you';
+        } else if (target.startsWith('#')) {
+            const channelName = normalizeChannelName(target.slice(1));
+            if (!channelName || !canAccessChannel(ctx.user, channels[channelName])) return ctx.reply('That channel does not exist or you do not have access.');
+            Object.assign(payload, { target: 'channel', channel: channelName });
+            label = `#${channelName}`;
+        } else if (target.startsWith('@')) {
+            const recipient = await findUserByName(ctx.params.target.slice(1));
+            if (!recipient || recipient.deletedAt) return ctx.reply(`User '${ctx.params.target.slice(1)}' not found.`);
+            Object.assign(payload, { target: 'dm', to: recipient.username });
+            label = recipient.username;
+        } else {
+            return ctx.reply('Remind whom? Use me, @username or #channel.');
+        }
+
+        if (await Job.countDocuments({ createdBy: ctx.sender, kind: 'reminder', status: 'pending' }) >= MAX_PENDING_REMINDERS) {
+            return ctx.reply(`You already have ${MAX_PENDING_REMINDERS} pending reminders.`);
+        }
+        const job = await scheduleJob('reminder', when.runAt, payload, ctx.sender);
+        ctx.reply(`Okay, I'll remind ${label} at ${when.runAt.toLocaleString()} (id ${job.id}).`);
+    }
+});
+registerCommand({
+    name: 'nick',
+    args: [{ name: 'displayName', label: 'display name', rest: true }],
+    description: 'Change your display name, or reset it to your username',
+    run: async (ctx) => {
+        const displayName = (ctx.params.displayName || ctx.sender).slice(0, 32);
+        if (!checkRateLimit('profile', ctx.sender, getClientIp(ctx.socket))) return ctx.reply('You are updating your profile too often. Try again shortly.');
+        await User.updateOne({ username: ctx.sender }, { displayName });
+        for (const id of Object.keys(users)) {
+            if (users[id].username !== ctx.sender) continue;
+            users[id].displayName = displayName;
+            await trackPresence(id);
+            if (vcUsers[id]) { vcUsers[id].displayName = displayName; await syncVCUser(id); }
+        }
+        broadcastSidebarRefresh();
+        broadcastVoiceRooms();
+        emitToUser(ctx.sender, 'profile-info', { username: ctx.sender, displayName, avatar: ctx.user.avatar, role: ctx.user.role });
+        ctx.reply(`You are now known as ${displayName}.`);
+    }
+});
+registerCommand({
+    name: 'topic',
+    args: [{ name: 'topic', rest: true }],
+    description: "Show the channel topic, or set it if you manage the channel ('-' clears it)",
+    run: async (ctx) => {
+        const channel = channels[ctx.channel];
+        if (ctx.dmTarget || !channel) return ctx.reply('/topic only works in channels.');
+        if (!ctx.params.topic) return ctx.reply(channel.topic ? `#${channel.name}: ${channel.topic}` : `#${channel.name} has no topic.`);
+        if (!canManageChannel(ctx.user, channel)) return ctx.reply(`Only the creator or an admin can change the topic of #${channel.name}.`);
+        const topic = ctx.params.topic === '-' ? "" : ctx.params.topic.slice(0, 200);
+        await Channel.updateOne({ name: channel.name }, { topic });
+        channel.topic = topic;
+        broadcastChannelList();
+        announce(ctx, topic ? `${ctx.senderDisplayName} set the topic to: ${topic}` : `${ctx.senderDisplayName} cleared the topic.`);
+    }
+});
+registerCommand({
+    name: 'whois',
+    args: [{ name: 'username', required: true }],
+    description: 'Show who someone is and when they were last around',
+    run: async (ctx) => {
+        const dbUser = await findUserByName(ctx.params.username);
+        if (!dbUser || dbUser.deletedAt) return ctx.reply(`User '${ctx.params.username}' not found.`);
+        const online = await findOnlineUser(dbUser.username);
+        const role = dbUser.username === OWNER_USERNAME ? 'owner' : (dbUser.role || 'member');
+        const details = [
+            `${dbUser.displayName || dbUser.username} (${dbUser.username})${dbUser.isBot ? ' [bot]' : ''}`,
+            role,
+            dbUser.pronouns,
+            online ? 'online now' : `last seen ${new Date(dbUser.lastSeen).toLocaleString()}`,
+            `joined ${dbUser._id.getTimestamp().toLocaleDateString()}`
+        ];
+        ctx.reply(details.filter(Boolean).join(' · '));
+    }
+});
+registerCommand({
+    name: 'server',
+    args: [{ name: 'message', required: true, rest: true }],
+    permission: 'admin',
+    description: 'Post an announcement to everyone, or schedule it: /server in 2h <message>, /server at 17:30 <message>, /server scheduled, /server cancel <id>',
+    run: async (ctx) => {
+        const action = ctx.args[0].toLowerCase();
+        if (action === 'scheduled' && ctx.args.length === 1) {
+            const jobs = await Job.find({ kind: 'announcement', status: 'pending' }).sort({ runAt: 1 }).lean();
+            const lines = jobs.map(j => `${j.id} ${new Date(j.runAt).toLocaleString()} by ${j.createdBy}: ${j.payload.text}`);
+            return ctx.reply(lines.length ? `Scheduled announcements: ${lines.join(' | ')}` : 'No scheduled announcements.');
+        }
+        if (action === 'cancel' && ctx.args.length === 2) {
+            const job = await Job.findOneAndUpdate({ id: ctx.args[1], kind: 'announcement', status: 'pending' }, { status: 'cancelled', finishedAt: new Date() });
+            if (!job) return ctx.reply(`No scheduled announcement '${ctx.args[1]}'.`);
+            ctx.reply(`Cancelled announcement ${job.id}.`);
+            return logModeration('server-cancel', ctx.sender, null, job.payload.text, ctx.channel);
+        }
+        if ((action === 'in' || action === 'at') && looksLikeScheduleTime(ctx.args[1])) {
+            // A bad time must not fall through and go out right away as "in 2x ..."
+            const when = parseScheduleTime(ctx.args);
+            if (!when || !when.rest.length) return ctx.reply('Usage: /server <in 2h|at 17:30|at 2026-05-01T09:00> <message>, at most a year ahead.');
+            const text = when.rest.join(' ');
+            const job = await scheduleJob('announcement', when.runAt, { text, channel: ctx.channel, creator: ctx.sender }, ctx.sender);
+            ctx.reply(`Announcement scheduled for ${when.runAt.toLocaleString()} (id ${job.id}).`);
+            return logModeration('server-schedule', ctx.sender, null, `${text} at ${when.runAt.toISOString()}`, ctx.channel);
+        }
+
+        const serverMsg = formatMessage('Announcement', `: **${ctx.params.message}**`);
+        io.emit('chat-message', serverMsg); savePublicMessage(serverMsg, ctx.channel);
+        logModeration('server', ctx.sender, null, ctx.params.message, ctx.channel);
+    }
+});
+registerCommand({
+    name: 'mute',
+    args: [{ name: 'username', required: true }, { name: 'duration' }, { name: 'reason', rest: true }],
+    permission: 'moderator',
+    targetsUser: true,
+    description: 'Mute someone, e.g. /mute bob 10m spamming',
+    run: async (ctx) => {
+        const targetName = ctx.params.username;
+        const { durationMs, reason, error } = parseSanctionArgs(ctx.args);
+        if (error) return ctx.reply(`${error} Usage: ${commandUsage(ctx.command)}`);
+        const entry = await applyMute(targetName, durationMs, reason, ctx.sender);
+        const muteMsg = formatMessage('System', `User ${targetName} has been muted ${describeSanction(entry)}.`); io.emit('chat-message', muteMsg); savePublicMessage(muteMsg, ctx.channel);
+        logModeration('mute', ctx.sender, targetName, describeSanction(entry), ctx.channel);
+    }
+});
+registerCommand({
+    name: 'unmute',
+    args: [{ name: 'username', required: true }],
+    permission: 'admin',
+    targetsUser: true,
+    description: 'Lift a mute',
+    run: async (ctx) => {
+        const targetName = ctx.params.username;
+        if (!(await removeMute(targetName))) return ctx.reply(`${targetName} is not muted.`);
+        const unmuteMsg = formatMessage('System', `User ${targetName} has been unmuted.`); io.emit('chat-message', unmuteMsg); savePublicMessage(unmuteMsg, ctx.channel);
+        logModeration('unmute', ctx.sender, targetName, "", ctx.channel);
+    }
+});
+registerCommand({
+    name: 'ban',
+    args: [{ name: 'username', required: true }, { name: 'duration' }, { name: 'reason', rest: true }],
+    permission: 'admin',
+    targetsUser: true,
+    description: 'Ban someone and their IP, e.g. /ban bob 1d',
+    run: async (ctx) => {
+        const targetName = ctx.params.username;
+        const { durationMs, reason, error } = parseSanctionArgs(ctx.args);
+        if (error) return ctx.reply(`${error} Usage: ${commandUsage(ctx.command)}`);
+        const { entry, ips } = await applyBan(targetName, durationMs, reason, ctx.sender);
+        const banMsg = formatMessage('System', `User ${targetName} has been banned ${describeSanction(entry)}.`);
+        io.emit('chat-message', banMsg); savePublicMessage(banMsg, ctx.channel);
+        logModeration('ban', ctx.sender, targetName, `${describeSanction(entry)}${ips.length ? `, ip ${ips.join(', ')}` : ''}`, ctx.channel);
+    }
+});
+registerCommand({
+    name: 'unban',
+    args: [{ name: 'username', required: true }],
+    permission: 'admin',
+    description: 'Lift a ban',
+    run: async (ctx) => {
+        const targetName = ctx.params.username;
+        if (!(await removeBan(targetName))) return ctx.reply(`${targetName} is not banned.`);
+        ctx.reply(`User ${targetName} has been unbanned.`);
+        logModeration('unban', ctx.sender, targetName, "", ctx.channel);
+    }
+});
+registerCommand({
+    name: 'banlist',
+    permission: 'admin',
+    description: 'List active bans',
+    run: async (ctx) => {
+        const bans = await Ban.find({ $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] }).sort({ bannedAt: -1 }).lean();
+        const lines = bans.map(b => `${b.username || '?'}${b.ip ? ' [' + b.ip + ']' : ''} by ${b.bannedBy} ${describeSanction(b)}`);
+        ctx.reply(lines.length ? `Bans: ${lines.join(' | ')}` : 'No active bans.');
+    }
+});
+registerCommand({
+    name: 'prune',
+    permission: 'admin',
+    description: 'Delete all channel history',
+    run: async (ctx) => {
+        await Message.deleteMany({}); io.emit('history', []); io.emit('chat-message', formatMessage('System', 'Chat history has been cleared.'));
+        cleanupOrphanedUploads().catch(e => console.error("Upload Cleanup Error", e));
+        logModeration('prune', ctx.sender, null, "", ctx.channel);
+    }
+});
+registerCommand({
+    name: 'motd',
+    args: [{ name: 'message', required: true, rest: true }],
+    permission: 'admin',
+    description: 'Set the message of the day',
+    run: async (ctx) => {
+        serverMOTD = ctx.params.message;
+        try { await Config.findOneAndUpdate({ key: 'motd' }, { value: serverMOTD }, { upsert: true }); } catch(e) {}
+        io.emit('motd', serverMOTD); io.emit('chat-message', formatMessage('System', `MOTD updated: ${serverMOTD}`));
+        logModeration('motd', ctx.sender, null, serverMOTD, ctx.channel);
+    }
+});
+// You can only hand out roles below your own
+async function changeRole(ctx, defaultRole) {
+    const command = ctx.command.name;
+    const newRole = (ctx.params.role || defaultRole).toLowerCase();
+    if (ROLE_RANK[newRole] === undefined) return ctx.reply(`Usage: ${commandUsage(ctx.command)}`);
+    if (getRoleRank(newRole) >= getRoleRank(ctx.user.role)) return ctx.reply(`You cannot assign the ${newRole} role.`);
+
+    const updated = await User.findOneAndUpdate({ username: new RegExp(`^${escapeRegex(ctx.params.username)}$`, 'i') }, { role: newRole }, { new: true });
+    if (!updated) return ctx.reply(`User '${ctx.params.username}' not found.`);
+    Object.keys(users).forEach(id => { if (users[id].username === updated.username) { users[id].role = newRole; trackPresence(id); } });
+    publishClusterEvent('role-changed', { username: updated.username, role: newRole });
+    emitToUser(updated.username, 'role-updated', newRole);
+    ctx.reply(`${updated.username} is now ${newRole}.`);
+    logModeration(command, ctx.sender, updated.username, `role ${newRole}`, ctx.channel);
+    broadcastChannelList();
+}
+registerCommand({
+    name: 'promote',
+    args: [{ name: 'username', required: true }, { name: 'role' }],
+    permission: 'admin',
+    targetsUser: true,
+    description: 'Give someone a role (moderator by default)',
+    run: (ctx) => changeRole(ctx, 'moderator')
+});
+registerCommand({
+    name: 'demote',
+    args: [{ name: 'username', required: true }, { name: 'role' }],
+    permission: 'admin',
+    targetsUser: true,
+    description: 'Lower someone\'s role (member by default)',
+    run: (ctx) => changeRole(ctx, 'member')
+});
+registerCommand({
+    name: 'roles',
+    permission: 'moderator',
+    description: 'List the staff',
+    run: async (ctx) => {
+        const staff = await User.find({ role: { $in: ['owner', 'admin', 'moderator'] } }, 'username role').lean();
+        staff.sort((a, b) => getRoleRank(b.role) - getRoleRank(a.role));
+        ctx.reply(`Staff: ${staff.map(u => `${u.username} (${u.role})`).join(', ') || 'none'}`);
+    }
+});
+registerCommand({
+    name: 'claimcode',
+    args: [{ name: 'username', required: true }],
+    permission: 'admin',
+    targetsUser: true,
+    description: 'Issue a one-time code that lets the owner of an account from before passwords set one',
+    run: async (ctx) => {
+        const target = await findUserByName(ctx.params.username, '+passwordHash');
+        if (!target) return ctx.reply(`User '${ctx.params.username}' not found.`);
+        if (target.passwordHash || target.deletedAt || target.isBot) return ctx.reply(`${target.username} already has a password.`);
+        const code = generateToken();
+        await User.updateOne({ _id: target._id }, { claimCodeHash: hashToken(code), claimCodeExpires: new Date(Date.now() + CLAIM_CODE_TTL) });
+        ctx.reply(`Claim code for ${target.username} (valid 24h, shown once): ${code}`);
+        logModeration('claimcode', ctx.sender, target.username, "", ctx.channel);
+    }
+});
+registerCommand({
+    name: 'auditlog',
+    args: [{ name: 'count' }],
+    permission: 'admin',
+    description: 'Show recent moderation actions',
+    run: async (ctx) => {
+        const count = Math.min(parseInt(ctx.params.count, 10) || 10, 50);
+        const entries = await AuditLog.find({}).sort({ timestamp: -1 }).limit(count).lean();
+        const lines = entries.map(e => `[${new Date(e.timestamp).toLocaleString()}] ${e.actor} ${e.action}${e.target ? ' ' + e.target : ''}${e.details ? ' (' + e.details + ')' : ''}`);
+        ctx.reply(lines.length ? lines.join(' | ') : 'Audit log is empty.');
+    }
+});
+async function forceVoiceCommand(ctx, room) {
+    const targetName = ctx.params.username;
+    const sessions = (await stateStore.getAll('vc')).filter(v => v.username.toLowerCase() === targetName.toLowerCase());
+    if (!sessions.length) return ctx.reply(`${targetName} is not in a voice room.`);
+    for (const session of sessions) await forceVoiceAction(session.id, room);
+    ctx.reply(room ? `Moved ${targetName} to voice room ${room}.` : `Disconnected ${targetName} from voice.`);
+    logModeration(ctx.command.name, ctx.sender, targetName, room ? `to ${room}` : "", ctx.channel);
+}
+registerCommand({
+    name: 'vcmove',
+    args: [{ name: 'username', required: true }, { name: 'room', required: true }],
+    permission: 'admin',
+    targetsUser: true,
+    description: `Move someone to another voice room (${VOICE_ROOMS.join(', ')})`,
+    run: async (ctx) => {
+        const room = normalizeVoiceRoom(ctx.params.room);
+        if (!room) return ctx.reply(`Usage: /vcmove <username> <${VOICE_ROOMS.join('|')}>`);
+        return forceVoiceCommand(ctx, room);
+    }
+});
+registerCommand({
+    name: 'webhook',
+    args: [{ name: 'action', required: true }, { name: 'args', rest: true }],
+    permission: 'admin',
+    description: 'Manage this channel\'s webhooks: create <name> | outgoing <url> [name] | list | delete <id>',
+    run: async (ctx) => {
+        const action = ctx.params.action.toLowerCase();
+        const args = ctx.args.slice(1);
+        if (action === 'create' && args[0]) {
+            const token = generateToken();
+            const hook = await new Webhook({ id: generateId(), kind: 'incoming', name: args.join(' ').slice(0, 32), channel: ctx.channel, tokenHash: hashToken(token), creator: ctx.sender }).save();
+            ctx.reply(`Incoming webhook ${hook.id} posts to #${ctx.channel}. POST JSON { "text": "..." } to /hooks/${hook.id}/${token} — keep this URL secret, it is only shown once.`);
+            logModeration('webhook-create', ctx.sender, hook.id, `incoming ${hook.name}`, ctx.channel);
+        } else if (action === 'outgoing' && isHttpUrl(args[0])) {
+            try { await resolvePublicAddress(new URL(args[0]).hostname); }
+            catch (e) { return ctx.reply(`Can't use ${args[0]}: ${e.message === 'Blocked private address' ? 'it points at a private address' : 'the host did not resolve'}.`); }
+            const secret = generateToken();
+            const hook = await new Webhook({ id: generateId(), kind: 'outgoing', name: args.slice(1).join(' ').slice(0, 32) || new URL(args[0]).host, channel: ctx.channel, url: args[0], secret, creator: ctx.sender }).save();
+            await loadOutgoingWebhooks();
+            publishClusterEvent('webhooks-changed');
+            ctx.reply(`Outgoing webhook ${hook.id} will POST #${ctx.channel} events to ${hook.url}. Signing secret (shown once): ${secret}`);
+            logModeration('webhook-create', ctx.sender, hook.id, `outgoing ${hook.url}`, ctx.channel);
+        } else if (action === 'list') {
+            const hooks = await Webhook.find({ channel: ctx.channel }).sort({ createdAt: 1 }).lean();
+            const lines = hooks.map(h => `${h.id} ${h.kind} "${h.name}"${h.url ? ' → ' + h.url : ''}${h.lastStatus ? ' [' + h.lastStatus + ']' : ''}`);
+            ctx.reply(lines.length ? `Webhooks in #${ctx.channel}: ${lines.join(' | ')}` : `No webhooks in #${ctx.channel}.`);
+        } else if (action === 'delete' && args[0]) {
+            const hook = await Webhook.findOneAndDelete({ id: args[0] });
+            if (!hook) return ctx.reply(`Webhook '${args[0]}' not found.`);
+            if (hook.kind === 'outgoing') { await loadOutgoingWebhooks(); publishClusterEvent('webhooks-changed'); }
+            ctx.reply(`Deleted webhook ${hook.id}.`);
+            logModeration('webhook-delete', ctx.sender, hook.id, `${hook.kind} ${hook.name}`, ctx.channel);
+        } else {
+            ctx.reply('Usage: /webhook create <name> | /webhook outgoing <url> [name] | /webhook list | /webhook delete <id>');
+        }
+    }
+});
+registerCommand({
+    name: 'bot',
+    args: [{ name: 'action', required: true }, { name: 'name' }],
+    permission: 'admin',
+    description: 'Manage bot accounts: create <name> | token <name> | revoke <name> | list',
+    run: async (ctx) => {
+        const action = ctx.params.action.toLowerCase();
+        const botName = ctx.params.name;
+        if (action === 'create' && botName) {
+            if (!USERNAME_PATTERN.test(botName)) return ctx.reply('Bot names must be 2-24 letters, numbers, or _ . -');
+            if (await findUserByName(botName)) return ctx.reply(`The name '${botName}' is already taken.`);
+            const token = generateToken();
+            await new User({ username: botName, displayName: botName, avatar: 'placeholder-avatar.png', isBot: true, botOwner: ctx.sender, apiTokenHash: hashToken(token) }).save();
+            ctx.reply(`Bot ${botName} created. Connect with io({ auth: { token } }) using this token (shown once): ${token}`);
+            logModeration('bot-create', ctx.sender, botName, "", ctx.channel);
+            broadcastSidebarRefresh();
+        } else if ((action === 'token' || action === 'revoke') && botName) {
+            const token = action === 'token' ? generateToken() : null;
+            const bot = await User.findOneAndUpdate(
+                { username: new RegExp(`^${escapeRegex(botName)}$`, 'i'), isBot: true },
+                token ? { apiTokenHash: hashToken(token) } : { $unset: { apiTokenHash: 1 } }
+            );
+            if (!bot) return ctx.reply(`Bot '${botName}' not found.`);
+            // Drop connections made with the old token
+            io.in(userRoom(bot.username)).disconnectSockets(true);
+            ctx.reply(token ? `New token for ${bot.username} (shown once): ${token}` : `Revoked the token for ${bot.username}.`);
+            logModeration(`bot-${action}`, ctx.sender, bot.username, "", ctx.channel);
+        } else if (action === 'list') {
+            const bots = await User.find({ isBot: true, deletedAt: null }, 'username botOwner').lean();
+            const registered = await stateStore.getAll('botcommands');
+            const lines = bots.map(b => {
+                const names = registered.filter(e => e.bot === b.username).flatMap(e => e.commands.map(c => '/' + c.name));
+                return `${b.username} (by ${b.botOwner || '?'})${names.length ? ': ' + names.join(' ') : ''}`;
+            });
+            ctx.reply(lines.length ? `Bots: ${lines.join(' | ')}` : 'No bots yet.');
+        } else {
+            ctx.reply('Usage: /bot create <name> | /bot token <name> | /bot revoke <name> | /bot list');
+        }
+    }
+});
+registerCommand({
+    name: 'vckick',
+    args: [{ name: 'username', required: true }],
+    permission: 'admin',
+    targetsUser: true,
+    description: 'Disconnect someone from voice',
+    run: (ctx) => forceVoiceCommand(ctx, null)
+});
+
+// --- ACCOUNT EXPORT + DELETION ---
+const DELETED_DISPLAY_NAME = 'Deleted User';
+// Sessions without an account id must at least have been issued after the account was created
+function isSessionCurrent(session, dbUser) {
+    if (!dbUser) return false;
+    if (session.a) return session.a === String(dbUser._id);
+    return !!session.iat && session.iat >= dbUser._id.getTimestamp().getTime();
+}
+function readRequestSession(req) { return readSession(parseCookies(req.headers.cookie)[SESSION_COOKIE]); }
+// A valid signature isn't enough for HTTP routes: the account must still be the one the session was issued for
+async function findSessionAccount(session) {
+    const dbUser = await User.findOne({ username: session.u }, 'username').lean();
+    return isSessionCurrent(session, dbUser) ? dbUser : null;
+}
+async function buildAccountExport(username) {
+    const clean = ({ _id, __v, ...doc }) => doc;
+    const [profile, messages, convos, uploads, mentions] = await Promise.all([
+        User.findOne({ username }).lean(),
+        Message.find({ sender: username }).sort({ timestamp: 1 }).lean(),
+        DM.find({ participants: username }).lean(),
+        Upload.find({ uploader: username }).lean(),
+        Mention.find({ username }).sort({ timestamp: 1 }).lean()
+    ]);
+    // Whole conversations, both sides, keyed by the other participant
+    const dms = {};
+    for (const convo of convos) {
+        const other = convo.participants.find(p => p !== username) || username;
+        const history = await DMMessage.find({ conversation: getConversationKey(username, other) }).sort({ timestamp: 1 }).lean();
+        dms[other] = history.map(clean);
+    }
+    return {
+        exportedAt: new Date(),
+        profile: profile ? clean(profile) : null,
+        messages: messages.map(clean),
+        dms,
+        uploads: uploads.map(({ _id, __v, key, thumbnailKey, ...record }) => record),
+        mentions: mentions.map(clean)
+    };
+}
+// Wipes the account's content and renames what's left to a one-off `deleted-xxxx` placeholder,
+// so other people's threads and DM histories keep their shape without pointing at the old name
+async function deleteAccount(username) {
+    const placeholder = `deleted-${crypto.randomBytes(4).toString('hex')}`;
+    const anonymized = {
+        sender: placeholder, senderDisplayName: DELETED_DISPLAY_NAME, avatar: 'placeholder-avatar.png',
+        text: '[deleted]', image: null, attachments: [], linkPreviews: []
+    };
+    const anonymizedReply = { 'replyTo.sender': placeholder, 'replyTo.senderDisplayName': DELETED_DISPLAY_NAME, 'replyTo.text': '' };
+
+    // Files first, while the records still name the uploader
+    const uploads = await Upload.find({ uploader: username }).lean();
+    for (const record of uploads) {
+        const driver = storageDrivers[record.driver];
+        try {
+            if (driver) {
+                await driver.remove(record.key);
+                if (record.thumbnailKey) await driver.remove(record.thumbnailKey);
+            }
+        } catch (e) { console.error("Upload Cleanup Error", e); }
+    }
+    await Upload.deleteMany({ uploader: username });
+
+    // Their own jobs, and reminders other people aimed at them
+    await Job.updateMany(
+        { status: 'pending', $or: [{ createdBy: username }, { kind: 'reminder', 'payload.to': username }] },
+        { status: 'cancelled', finishedAt: new Date() }
+    );
+    await DeviceKey.deleteMany({ username });
+    await DMMessage.updateMany({ sender: username, encrypted: { $exists: true } }, { $unset: { encrypted: 1 } });
+    await Message.updateMany({ sender: username, poll: { $exists: true } }, { $unset: { poll: 1 }, $set: { type: 'general' } });
+    await Message.updateMany({ 'poll.votes.username': username }, { $pull: { 'poll.votes': { username } } });
+    for (const Model of [Message, DMMessage]) {
+        await Model.updateMany({ sender: username }, { $set: anonymized });
+        await Model.updateMany({ 'replyTo.sender': username }, { $set: anonymizedReply });
+        await Model.updateMany({ 'reactions.users': username }, { $pull: { 'reactions.$[].users': username } });
+        await Model.updateMany({ 'reactions.users': { $size: 0 } }, { $pull: { reactions: { users: { $size: 0 } } } });
+    }
+
+    const convos = await DM.find({ participants: username }).lean();
+    for (const convo of convos) {
+        const other = convo.participants.find(p => p !== username);
+        if (!other) {
+            // Notes to self have nobody else to keep them for
+            await DMMessage.deleteMany({ conversation: getConversationKey(username, username) });
+            await DM.deleteOne({ _id: convo._id });
+            continue;
+        }
+        const participants = [placeholder, other].sort();
+        await DMMessage.updateMany(
+            { conversation: getConversationKey(username, other) },
+            { $set: { conversation: getConversationKey(placeholder, other), participants } }
+        );
+        await DM.updateOne({ _id: convo._id }, { $set: { participants } });
+    }
+
+    await ReadState.deleteMany({ username });
+    await ReadState.updateMany({ key: `dm:${username}` }, { $set: { key: `dm:${placeholder}` } });
+    await Mention.deleteMany({ $or: [{ username }, { sender: username }] });
+    await Channel.updateMany({ members: username }, { $set: { 'members.$': placeholder } });
+    await Channel.updateMany({ creator: username }, { $set: { creator: placeholder } });
+    await User.updateOne({ username }, {
+        $set: {
+            username: placeholder, displayName: DELETED_DISPLAY_NAME, description: "", pronouns: "",
+            avatar: 'placeholder-avatar.png', banner: "", customBackground: "", role: 'member', lastIp: null, deletedAt: new Date()
+        },
+        $unset: { passwordHash: 1, passwordSalt: 1 }
+    });
+
+    emitToUser(username, 'account-deleted');
+    io.in(userRoom(username)).disconnectSockets(true);
+    await reloadChannels();
+    broadcastChannelList();
+    broadcastSidebarRefresh();
+    return placeholder;
+}
+
+app.use(express.static(path.join(__dirname, 'public')));
+app.use(express.json());
+
+// --- AUTH ROUTES ---
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{2,24}$/;
+const MIN_PASSWORD_LENGTH = 10;
+
+app.post('/auth/register', async (req, res) => {
+    const { username, password, displayName, claimCode } = req.body || {};
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+        return res.status(400).send("Username must be 2-24 letters, numbers, or _ . -");
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).send(`Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+    }
+    if (!checkRateLimit('auth', username, req.ip)) return res.status(429).send("Too many attempts. Try again in a minute.");
+    try {
+        const existing = await findUserByName(username, '+passwordHash +claimCodeHash +claimCodeExpires');
+        // Deleted-account placeholders have no password but must never be claimed
+        if (existing && (existing.passwordHash || existing.deletedAt || existing.isBot)) return res.status(409).send("That username is already taken.");
+        // Accounts from before passwords existed can only be claimed with a code from an admin (/claimcode)
+        if (existing && !(typeof claimCode === 'string' && existing.claimCodeHash === hashToken(claimCode.trim()) && existing.claimCodeExpires > Date.now())) {
+            return res.status(409).send("That username belongs to an existing account. Ask an admin for a claim code.");
+        }
+
+        const { hash, salt } = await hashPassword(password);
+        const cleanDisplay = (typeof displayName === 'string' && displayName.trim()) ? displayName.trim().slice(0, 32) : username;
+
+        let account = existing;
+        if (existing) {
+            // Claim a legacy account that was created before passwords existed
+            existing.passwordHash = hash;
+            existing.passwordSalt = salt;
+            existing.claimCodeHash = undefined;
+            existing.claimCodeExpires = undefined;
+            if (!existing.displayName || existing.displayName === existing.username) existing.displayName = cleanDisplay;
+            await existing.save();
+        } else {
+            account = await new User({ username, displayName: cleanDisplay, avatar: 'placeholder-avatar.png', passwordHash: hash, passwordSalt: salt }).save();
+        }
+
+        setSessionCookie(req, res, account);
+        res.json({ username: account.username });
+    } catch (e) {
+        console.error("Register Error", e);
+        res.status(500).send("Registration failed.");
+    }
+});
+
+app.post('/auth/login', async (req, res) => {
+    const { username, password } = req.body || {};
+    if (typeof username !== 'string' || typeof password !== 'string') return res.status(400).send("Missing username or password.");
+    if (!checkRateLimit('auth', username, req.ip)) return res.status(429).send("Too many attempts. Try again in a minute.");
+    try {
+        const dbUser = await findUserByName(username, '+passwordHash +passwordSalt');
+        if (!dbUser || !(await verifyPassword(password, dbUser.passwordHash, dbUser.passwordSalt))) {
+            return res.status(401).send("Invalid username or password.");
+        }
+        const activeBan = findActiveBan(req.ip, dbUser.username);
+        if (activeBan) return res.status(403).send(`You are banned ${describeSanction(activeBan)}.`);
+        setSessionCookie(req, res, dbUser);
+        res.json({ username: dbUser.username });
+    } catch (e) {
+        console.error("Login Error", e);
+        res.status(500).send("Login failed.");
+    }
+});
+
+app.post('/auth/logout', (req, res) => {
+    res.clearCookie(SESSION_COOKIE);
+    res.json({ ok: true });
+});
+
+app.get('/auth/me', async (req, res) => {
+    const session = readRequestSession(req);
+    if (!session) return res.status(401).send("Not logged in.");
+    try {
+        const dbUser = await findSessionAccount(session);
+        if (!dbUser) {
+            res.clearCookie(SESSION_COOKIE);
+            return res.status(401).send("Not logged in.");
+        }
+        res.json({ username: dbUser.username });
+    } catch (e) {
+        console.error("Session Lookup Error", e);
+        res.status(500).send("Could not check your session.");
+    }
+});
+
+// --- FILE UPLOAD ROUTE ---
+// Runs before multer so throttled requests never get buffered
+async function uploadGuard(req, res, next) {
+    const session = readRequestSession(req);
+    if (!session) return res.status(401).json({ error: 'Log in to upload files' });
+    if (findActiveBan(req.ip, session.u)) return res.status(403).json({ error: 'You are banned' });
+    if (!checkRateLimit('upload', session.u, req.ip)) return res.status(429).json({ error: 'Too many uploads, slow down' });
+    try {
+        const dbUser = await findSessionAccount(session);
+        if (!dbUser) return res.status(401).json({ error: 'Log in to upload files' });
+        req.username = dbUser.username;
+        next();
+    } catch (e) {
+        console.error("Upload Session Error", e);
+        res.status(500).json({ error: 'Could not check your session' });
+    }
+}
+
+app.post('/upload', uploadGuard, upload.single('file'), async (req, res) => {
+    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+
+    const type = validateUpload(req.file);
+    if (!type) return res.status(415).json({ error: 'Unsupported or mismatched file type' });
+
+    let saved = null;
+    let savedThumb = null;
+    try {
+        const mimeType = req.file.mimetype;
+        let fileBuffer = req.file.buffer;
+        const record = { driver: STORAGE_DRIVER, uploader: req.username, mimeType };
+
+        if (mimeType.startsWith('image/')) {
+            const processed = await processImage(fileBuffer, mimeType);
+            fileBuffer = processed.buffer;
+            savedThumb = await storage.save(processed.thumbnail, { mimeType: 'image/webp', ext: 'webp' });
+            Object.assign(record, {
+                thumbnailUrl: savedThumb.url, thumbnailKey: savedThumb.key,
+                width: processed.width, height: processed.height, blurhash: processed.blurhash
+            });
+        }
+
+        saved = await storage.save(fileBuffer, { mimeType, ext: type.ext });
+        const doc = await new Upload({ ...record, url: saved.url, key: saved.key, size: fileBuffer.length }).save();
+        res.json({ url: saved.url, attachment: toAttachment(doc) });
+    } catch (error) {
+        // Don't leave untracked files behind
+        if (saved) storage.remove(saved.key).catch(() => {});
+        if (savedThumb) storage.remove(savedThumb.key).catch(() => {});
+        console.error("Upload Error", error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.use('/uploads', express.static(UPLOAD_DIR, { 
+    setHeaders: (res) => { 
+        res.setHeader('X-Content-Type-Options', 'nosniff'); 
+        res.setHeader('Cross-Origin-Resource-Policy', 'same-origin'); 
+    } 
+}));
+
+// --- ACCOUNT: DATA EXPORT + DELETION ---
+// Like uploadGuard; a cookie from a deleted account can't reach a newer account that reused the name
+async function accountGuard(req, res, next) {
+    const session = readRequestSession(req);
+    if (!session) return res.status(401).json({ error: 'Log in first' });
+    if (!checkRateLimit('account', session.u, req.ip)) return res.status(429).json({ error: 'Too many requests, try again later' });
     try {
-        const allDbUsers = await User.find({}).lean();
-        const sidebarList = allDbUsers.map(u => ({
-            username: u.username,
-            displayName: u.displayName || u.username, 
-            avatar: u.avatar,
-            online: Object.values(users).some(live => live.username === u.username)
-        }));
-        io.emit('sidebar-user-list', sidebarList);
-    } catch (err) { console.error("Sidebar update error", err); }
+        const dbUser = await findSessionAccount(session);
+        if (!dbUser) return res.status(401).json({ error: 'This account no longer exists' });
+        req.username = dbUser.username;
+        next();
+    } catch (e) {
+        console.error("Account Lookup Error", e);
+        res.status(500).json({ error: 'Could not load your account' });
+    }
 }
 
-app.use(express.static(path.join(__dirname, 'public')));
+// ?format=zip for an archive with one file per section, JSON otherwise
+app.get('/account/export', accountGuard, async (req, res) => {
+    try {
+        const data = await buildAccountExport(req.username);
+        const filename = `simplechat-${req.username.replace(/[^a-zA-Z0-9_.-]/g, '_')}-${new Date().toISOString().slice(0, 10)}`;
+        if (req.query.format !== 'zip') {
+            res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+            return res.json(data);
+        }
 
-// --- FILE UPLOAD ROUTE ---
-app.post('/upload', upload.single('file'), (req, res) => {
-    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+        res.set('Content-Type', 'application/zip');
+        res.set('Content-Disposition', `attachment; filename="${filename}.zip"`);
+        const archive = archiver('zip', { zlib: { level: 9 } });
+        archive.on('error', e => { console.error("Export Error", e); res.destroy(e); });
+        archive.pipe(res);
+        const addJson = (name, value) => archive.append(JSON.stringify(value, null, 2), { name });
+        addJson('profile.json', data.profile);
+        addJson('channel-messages.json', data.messages);
+        Object.entries(data.dms).forEach(([other, messages]) => addJson(`dms/${other.replace(/[^a-zA-Z0-9_.-]/g, '_')}.json`, messages));
+        addJson('uploads.json', data.uploads);
+        addJson('mentions.json', data.mentions);
+        await archive.finalize();
+    } catch (e) {
+        console.error("Export Error", e);
+        if (!res.headersSent) res.status(500).json({ error: 'Export failed' });
+    }
+});
 
-    const uploadStream = cloudinary.uploader.upload_stream(
-        { folder: 'chat_assets', resource_type: 'auto' },
-        (error, result) => {
-            if (error) return res.status(500).json({ error: error.message });
-            res.json({ url: result.secure_url });
+// Needs the password again; the owner account can't be deleted
+app.post('/account/delete', accountGuard, async (req, res) => {
+    const { password } = req.body || {};
+    if (req.username === OWNER_USERNAME) return res.status(403).json({ error: 'The owner account cannot be deleted' });
+    try {
+        const dbUser = await User.findOne({ username: req.username }, '+passwordHash +passwordSalt');
+        if (typeof password !== 'string' || !(await verifyPassword(password, dbUser.passwordHash, dbUser.passwordSalt))) {
+            return res.status(401).json({ error: 'Wrong password' });
         }
-    );
-
-    const bufferStream = new stream.PassThrough();
-    bufferStream.end(req.file.buffer);
-    bufferStream.pipe(uploadStream);
+        await deleteAccount(req.username);
+        res.clearCookie(SESSION_COOKIE);
+        res.json({ ok: true });
+    } catch (e) {
+        console.error("Account Delete Error", e);
+        res.status(500).json({ error: 'Account deletion failed' });
+    }
 });
 
 app.get('/profile', (req, res) => {
@@ -241,65 +2731,295 @@ app.get('/voice', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'voice.html'));
 });
 
+// Short-lived ICE config for voice; TURN credentials expire after TURN_TTL seconds
+app.get('/voice/ice-servers', async (req, res) => {
+    const session = readRequestSession(req);
+    if (!session) return res.status(401).json({ error: 'Log in to join voice' });
+    if (findActiveBan(req.ip, session.u)) return res.status(403).json({ error: 'You are banned' });
+    try {
+        const dbUser = await findSessionAccount(session);
+        if (!dbUser) return res.status(401).json({ error: 'Log in to join voice' });
+        res.set('Cache-Control', 'no-store');
+        res.json({ iceServers: getIceServers(dbUser.username), ttl: TURN_TTL });
+    } catch (e) {
+        console.error("Voice Session Error", e);
+        res.status(500).json({ error: 'Could not check your session' });
+    }
+});
+
+// --- INCOMING WEBHOOKS ---
+// POST { text, username?, avatar? } to the URL shown by /webhook create
+app.post('/hooks/:id/:token', async (req, res) => {
+    const { text, username, avatar } = req.body || {};
+    if (!checkRateLimit('webhook', req.params.id, req.ip)) return res.status(429).json({ error: 'Too many requests, try again later' });
+    if (typeof text !== 'string' || !text.trim() || text.length > 4000) return res.status(400).json({ error: 'text must be 1-4000 characters' });
+    try {
+        const hook = await Webhook.findOne({ id: req.params.id, kind: 'incoming' }).select('+tokenHash').lean();
+        if (!hook || !crypto.timingSafeEqual(Buffer.from(hook.tokenHash, 'hex'), Buffer.from(hashToken(req.params.token), 'hex'))) {
+            return res.status(404).json({ error: 'Unknown webhook' });
+        }
+        const channel = channels[hook.channel];
+        if (!channel || channel.archived) return res.status(410).json({ error: 'The channel for this webhook no longer exists' });
+
+        const name = (typeof username === 'string' && username.trim()) ? username.trim().slice(0, 32) : hook.name;
+        const messageObject = formatMessage(`webhook:${hook.id}`, text.trim(), isHttpUrl(avatar) ? avatar : (hook.avatar || 'placeholder-avatar.png'), null, false, null, name);
+        messageObject.channel = hook.channel;
+        messageObject.bot = true;
+        messageObject.webhookId = hook.id;
+
+        io.to(hook.channel).emit('chat-message', messageObject);
+        await savePublicMessage(messageObject, hook.channel);
+        attachLinkPreviews(messageObject, 'channel');
+        res.json({ ok: true, id: messageObject.id });
+    } catch (e) {
+        console.error("Webhook Error", e);
+        res.status(500).json({ error: 'Could not post the message' });
+    }
+});
+
+// Attach the logged-in identity (if any) from the signed session cookie,
+// or from a bot's API token passed as `auth: { token }`
+io.use(async (socket, next) => {
+    const token = socket.handshake.auth && socket.handshake.auth.token;
+    if (typeof token === 'string' && token) {
+        try {
+            const bot = await User.findOne({ apiTokenHash: hashToken(token), isBot: true }, 'username').lean();
+            if (!bot) return next(new Error('Invalid bot token'));
+            socket.data.username = bot.username;
+            socket.data.isBot = true;
+            return next();
+        } catch (e) {
+            console.error("Bot Auth Error", e);
+            return next(new Error('Could not verify bot token'));
+        }
+    }
+    const session = readSession(parseCookies(socket.handshake.headers.cookie)[SESSION_COOKIE]);
+    socket.data.username = session ? session.u : null;
+    socket.data.session = session;
+    next();
+});
+
 io.on('connection', async (socket) => {
     socket.emit('system-version-check', { id: SERVER_BUILD_ID, description: SERVER_BUILD_DESC });
     const clientIp = getClientIp(socket);
     
-    if (bannedIPs.has(clientIp)) {
-        socket.emit('chat-message', formatMessage('System', 'You are banned from this server.'));
+    const activeBan = findActiveBan(clientIp, socket.data.username);
+    if (activeBan) {
+        socket.emit('chat-message', formatMessage('System', `You are banned from this server ${describeSanction(activeBan)}.`));
         socket.disconnect(true);
         return;
     }
 
     // Default room join
     socket.join('main');
-    socket.emit('history', messageHistory.filter(m => !m.channel || m.channel === 'main'));
+    getChannelHistory('main').then(history => socket.emit('history', history)).catch(e => console.error("History Error", e));
 
-    socket.emit('screen-share-update', Array.from(activeScreenShares));
+    getScreenShares().then(list => socket.emit('screen-share-update', list)).catch(e => console.error("Screen Share Error", e));
+    socket.emit('channel-list', getChannelListFor(null));
     
-    broadcastVCUserList(); 
+    broadcastVoiceRooms(); 
     broadcastSidebarRefresh(); 
     setTimeout(() => { socket.emit('motd', serverMOTD); }, 100);
 
     // Join Channel Logic
-    socket.on('join-channel', async (channelName) => {
-        // Leave existing rooms except private socket ID room
-        socket.rooms.forEach(room => {
-            if(room !== socket.id) socket.leave(room);
-        });
+    socket.on('join-channel', async (requestedName) => {
+        clearTyping(socket);
+        const channelName = normalizeChannelName(requestedName);
+        if (!channelName || !canAccessChannel(users[socket.id], channels[channelName])) {
+            socket.emit('chat-message', formatMessage('System', `Channel #${requestedName} does not exist or you do not have access.`));
+            return;
+        }
+
+        // Leave the previous channel; the socket's own room, user room and voice room stay
+        getChannelRooms(socket).forEach(room => socket.leave(room));
         socket.join(channelName);
 
         // Fetch history for this specific channel
-        const channelHistory = await Message.find({ channel: channelName })
-                                           .sort({ timestamp: -1 })
-                                           .limit(MAX_HISTORY)
-                                           .lean();
-        socket.emit('history', channelHistory.reverse());
+        socket.emit('history', await getChannelHistory(channelName));
+    });
+
+    // --- CHANNEL MANAGEMENT ---
+    socket.on('list-channels', () => { socket.emit('channel-list', getChannelListFor(users[socket.id])); });
+
+    socket.on('create-channel', async (data) => {
+        const user = users[socket.id];
+        if (!user || !data) return;
+        const name = normalizeChannelName(data.name);
+        if (!name) { socket.emit('chat-message', formatMessage('System', 'Channel names can only use a-z, 0-9, _ and - (max 32).')); return; }
+        if (channels[name]) { socket.emit('chat-message', formatMessage('System', `Channel #${name} already exists.`)); return; }
+
+        try {
+            const created = await new Channel({
+                name,
+                topic: typeof data.topic === 'string' ? data.topic.slice(0, 200) : "",
+                creator: user.username,
+                isPrivate: !!data.isPrivate,
+                members: data.isPrivate ? [user.username] : []
+            }).save();
+            channels[name] = created.toObject();
+            broadcastChannelList();
+            socket.emit('chat-message', formatMessage('System', `Channel #${name} created.`));
+        } catch (e) { console.error("Create Channel Error", e); }
+    });
+
+    socket.on('rename-channel', async (data) => {
+        const user = users[socket.id];
+        if (!user || !data) return;
+        const oldName = normalizeChannelName(data.channel);
+        const newName = normalizeChannelName(data.newName);
+        const channel = channels[oldName];
+        if (!channel || channel.archived) return;
+        if (!canManageChannel(user, channel) || DEFAULT_CHANNELS.includes(oldName)) {
+            socket.emit('chat-message', formatMessage('System', `You cannot rename #${oldName}.`));
+            return;
+        }
+        if (!newName || channels[newName]) { socket.emit('chat-message', formatMessage('System', 'That channel name is invalid or taken.')); return; }
+
+        try {
+            await Channel.updateOne({ name: oldName }, { name: newName });
+            await Message.updateMany({ channel: oldName }, { channel: newName });
+            // Everything else that points at the channel by name follows it; stale read states from an older channel of the new name would collide
+            await ReadState.deleteMany({ key: `channel:${newName}` });
+            await ReadState.updateMany({ key: `channel:${oldName}` }, { $set: { key: `channel:${newName}` } });
+            await Mention.updateMany({ channel: oldName }, { $set: { channel: newName } });
+            await Job.updateMany({ status: { $in: ['pending', 'running'] }, 'payload.channel': oldName }, { $set: { 'payload.channel': newName } });
+            await Webhook.updateMany({ channel: oldName }, { $set: { channel: newName } });
+            await loadOutgoingWebhooks();
+            publishClusterEvent('webhooks-changed');
+            channels[newName] = { ...channel, name: newName };
+            delete channels[oldName];
+
+            io.in(oldName).socketsJoin(newName);
+            io.in(oldName).socketsLeave(oldName);
+            io.to(newName).emit('channel-renamed', { from: oldName, to: newName });
+            broadcastChannelList();
+        } catch (e) { console.error("Rename Channel Error", e); }
+    });
+
+    socket.on('archive-channel', async (requestedName) => {
+        const user = users[socket.id];
+        const name = normalizeChannelName(requestedName);
+        const channel = channels[name];
+        if (!user || !channel || channel.archived) return;
+        if (!canManageChannel(user, channel) || name === 'main') {
+            socket.emit('chat-message', formatMessage('System', `You cannot archive #${name}.`));
+            return;
+        }
+
+        try {
+            await Channel.updateOne({ name }, { archived: true });
+            channel.archived = true;
+            io.to(name).emit('channel-archived', name);
+            io.in(name).socketsLeave(name);
+            broadcastChannelList();
+        } catch (e) { console.error("Archive Channel Error", e); }
+    });
+
+    socket.on('set-channel-members', async (data) => {
+        const user = users[socket.id];
+        if (!user || !data) return;
+        const name = normalizeChannelName(data.channel);
+        const channel = channels[name];
+        if (!channel || !channel.isPrivate || !canManageChannel(user, channel)) return;
+
+        const add = Array.isArray(data.add) ? data.add.filter(u => typeof u === 'string') : [];
+        const remove = Array.isArray(data.remove) ? data.remove.filter(u => typeof u === 'string').map(u => u.toLowerCase()) : [];
+        const members = channel.members.filter(m => !remove.includes(m.toLowerCase()));
+        add.forEach(u => { if (!members.some(m => m.toLowerCase() === u.toLowerCase())) members.push(u); });
+
+        try {
+            await Channel.updateOne({ name }, { members });
+            channel.members = members;
+            // Kick removed members out of the room
+            for (const u of remove) {
+                const kicked = (await io.in(userRoom(u)).fetchSockets()).filter(s => s.rooms.has(name));
+                kicked.forEach(s => { s.leave(name); s.emit('channel-archived', name); });
+            }
+            broadcastChannelList();
+        } catch (e) { console.error("Channel Members Error", e); }
     });
 
-    socket.on('get-history', () => { 
+    socket.on('get-history', async () => { 
         // Return global/main history
-        socket.emit('history', messageHistory.filter(m => !m.channel || m.channel === 'main')); 
+        if (!canAccessChannel(users[socket.id], channels.main)) return;
+        try { socket.emit('history', await getChannelHistory('main')); } catch (e) { console.error("History Error", e); }
+    });
+
+    // --- DM HISTORY + SCROLLBACK ---
+    // Accepts either a bare username or { target, before, limit }
+    socket.on('fetch-dm-history', async (data) => {
+        const user = users[socket.id];
+        if (!user || !data) return;
+        const target = typeof data === 'string' ? data : data.target;
+        if (typeof target !== 'string' || !target) return;
+
+        try {
+            const page = await fetchMessagePage(
+                DMMessage, { conversation: getConversationKey(user.username, target) }, data.before, data.limit
+            );
+            const seen = await ReadState.findOne({ username: target, key: `dm:${user.username}` }).lean();
+            socket.emit('dm-history', { 
+                target, messages: page.messages, hasMore: page.hasMore, before: data.before || null,
+                seen: seen ? { messageId: seen.lastReadMessageId, at: seen.lastReadAt } : null
+            });
+        } catch (e) { console.error("DM History Error", e); }
+    });
+
+    // "Load older messages" for a channel ({ channel, before }) or a DM ({ target, before })
+    socket.on('fetch-older-messages', async (data) => {
+        const user = users[socket.id];
+        if (!user || !data || !data.before) return;
+
+        try {
+            if (data.target) {
+                const page = await fetchMessagePage(
+                    DMMessage, { conversation: getConversationKey(user.username, data.target) }, data.before, data.limit
+                );
+                socket.emit('older-messages', { target: data.target, messages: page.messages, hasMore: page.hasMore });
+            } else {
+                const channel = normalizeChannelName(data.channel || 'main');
+                if (!channel || !canAccessChannel(user, channels[channel])) return;
+                const page = await fetchMessagePage(Message, { channel }, data.before, data.limit);
+                socket.emit('older-messages', { channel, messages: page.messages, hasMore: page.hasMore });
+            }
+        } catch (e) { console.error("Older Messages Error", e); }
     });
 
     // --- REGISTER / LOGIN ---
-    socket.on('set-username', async ({ username }) => {
-        if (!username) return;
+    // The client-supplied username is ignored; identity comes from the session cookie
+    socket.on('set-username', async () => {
+        const username = socket.data.username;
+        if (!username) {
+            socket.emit('auth-required');
+            socket.emit('chat-message', formatMessage('System', 'Please log in to chat.'));
+            return;
+        }
         const usernameLower = username.toLowerCase();
         
         let isReconnecting = false;
         if (disconnectTimeouts[usernameLower]) {
             clearTimeout(disconnectTimeouts[usernameLower]);
             delete disconnectTimeouts[usernameLower];
+            stateStore.remove('leaving', usernameLower).catch(e => console.error("Presence Error", e));
             isReconnecting = true;
         }
 
-        const isAlreadyOnline = Object.keys(users).some(id => 
-            id !== socket.id && users[id].username.toLowerCase() === usernameLower
-        );
+        let isAlreadyOnline = false;
+        try {
+            // They may have dropped off another instance a moment ago
+            const leaving = await stateStore.getAll('leaving');
+            if (leaving.some(entry => entry.username === usernameLower)) isReconnecting = true;
+            isAlreadyOnline = (await getOnlineUsers()).some(u => u.id !== socket.id && u.username.toLowerCase() === usernameLower);
+        } catch (e) { console.error("Presence Error", e); }
 
         let dbUser = null;
-        try { dbUser = await User.findOne({ username: username }); } catch(e) {}
+        let lookupFailed = false;
+        try { dbUser = await User.findOne({ username: username }); } catch(e) { lookupFailed = true; }
+        if (!lookupFailed && !socket.data.isBot && !isSessionCurrent(socket.data.session, dbUser)) {
+            socket.emit('auth-required');
+            socket.emit('chat-message', formatMessage('System', 'This account no longer exists. Please log in again.'));
+            return;
+        }
 
         const displayName = dbUser ? (dbUser.displayName || username) : username;
         const avatar = dbUser ? (dbUser.avatar || 'placeholder-avatar.png') : 'placeholder-avatar.png';
@@ -307,9 +3027,12 @@ io.on('connection', async (socket) => {
         const pronouns = dbUser ? (dbUser.pronouns || "") : "";
         const banner = dbUser ? (dbUser.banner || "") : "";
         const customBackground = dbUser ? (dbUser.customBackground || "") : "";
+        const role = username === OWNER_USERNAME ? 'owner' : (dbUser ? (dbUser.role || 'member') : 'member');
 
         userAvatarCache[username] = avatar;
-        users[socket.id] = { username, displayName, avatar, description, pronouns, id: socket.id };
+        users[socket.id] = { username, displayName, avatar, description, pronouns, role, isBot: !!socket.data.isBot, id: socket.id };
+        socket.join(userRoom(username));
+        await trackPresence(socket.id);
 
         try {
             await User.findOneAndUpdate(
@@ -323,25 +3046,29 @@ io.on('connection', async (socket) => {
             vcUsers[socket.id].username = username;
             vcUsers[socket.id].displayName = displayName;
             vcUsers[socket.id].avatar = avatar;
-            broadcastVCUserList();
+            await syncVCUser(socket.id);
+            broadcastVoiceRooms();
         }
         
         if (!isAlreadyOnline && !isReconnecting) {
             const joinMsg = formatMessage('System', `${displayName} (${username}) joined the chat.`);
             io.to('main').emit('chat-message', joinMsg);
-            addToHistory(joinMsg);
             savePublicMessage(joinMsg, 'main'); 
         }
 
         broadcastSidebarRefresh();
+        socket.emit('channel-list', getChannelListFor(users[socket.id]));
+        sendUnreadCounts(users[socket.id]);
+        sendMentionInbox(socket, username);
+        getCommandListFor(users[socket.id]).then(list => socket.emit('command-list', list)).catch(e => console.error("Command List Error", e));
         
         socket.emit('profile-info', { 
-            username, displayName, avatar, description, pronouns, banner, customBackground 
+            username, displayName, avatar, description, pronouns, banner, customBackground, role 
         });
         
         io.emit('user-status-change', { username, displayName, online: true, avatar });
         
-        socket.emit('screen-share-update', Array.from(activeScreenShares));
+        socket.emit('screen-share-update', await getScreenShares());
     });
 
     // --- GET OTHER USER PROFILE ---
@@ -379,7 +3106,11 @@ io.on('connection', async (socket) => {
     // --- UPDATE PROFILE ---
     socket.on('update-profile', async (data) => {
         const user = users[socket.id];
-        if (!user) return;
+        if (!user || !data) return;
+        if (!checkRateLimit('profile', user.username, clientIp)) {
+            socket.emit('chat-message', formatMessage('System', 'You are updating your profile too often. Try again shortly.'));
+            return;
+        }
         
         const { displayName, avatar, description, pronouns, banner, customBackground } = data;
         
@@ -402,18 +3133,24 @@ io.on('connection', async (socket) => {
         if (customBackground !== undefined) updateFields.customBackground = customBackground;
 
         try {
-            await User.findOneAndUpdate(
+            const previous = await User.findOneAndUpdate(
                 { username: user.username },
                 updateFields
-            );
+            ).lean();
+            // Old profile images may now be unused
+            if (previous) ['avatar', 'banner', 'customBackground'].forEach(field => {
+                if (previous[field] && previous[field] !== updateFields[field] && updateFields[field] !== undefined) releaseUpload(previous[field]);
+            });
         } catch(e) { console.error("Profile Update Error", e); }
 
+        await trackPresence(socket.id);
         broadcastSidebarRefresh();
         
         if (vcUsers[socket.id]) {
             vcUsers[socket.id].displayName = user.displayName;
             vcUsers[socket.id].avatar = user.avatar;
-            broadcastVCUserList();
+            await syncVCUser(socket.id);
+            broadcastVoiceRooms();
         }
 
         socket.emit('chat-message', formatMessage('System', 'Profile updated successfully.'));
@@ -428,181 +3165,667 @@ io.on('connection', async (socket) => {
         });
     });
 
-    socket.on('chat-message', async (payload) => {
-        const userData = users[socket.id] || { username: 'Anonymous', displayName: 'Anonymous', avatar: 'placeholder-avatar.png' };
+    // Any failure past validation still gets logged instead of escaping as an unhandled rejection
+    socket.on('chat-message', (payload) => {
+        handleChatMessage(payload).catch(e => {
+            console.error("Chat Message Error", e);
+            socket.emit('chat-message', formatMessage('System', 'Your message could not be sent.'));
+        });
+    });
+    async function handleChatMessage(payload) {
+        const userData = users[socket.id];
+        if (!userData) {
+            socket.emit('chat-message', formatMessage('System', 'Please log in to chat.'));
+            return;
+        }
         const sender = userData.username;
         const senderDisplayName = userData.displayName || sender;
 
-        if (mutedUsers.has(sender.toLowerCase())) {
-            socket.emit('chat-message', formatMessage('System', 'You are currently muted.'));
+        const activeMute = getActiveSanction(mutedUsers, sender);
+        if (activeMute) {
+            socket.emit('chat-message', formatMessage('System', `You are muted ${describeSanction(activeMute)}.`));
             return;
         }
 
         let msgText = '';
         let msgImage = null;
+        let msgAttachments = null;
         let replyTo = null;
         let targetUser = null; 
         let targetChannel = 'main';
+        let encrypted = null;
 
         if (typeof payload === 'string') { msgText = payload; } 
-        else if (typeof payload === 'object') {
+        else if (payload && typeof payload === 'object') {
             msgText = payload.text || ''; 
             msgImage = payload.image || null; 
+            msgAttachments = payload.attachments || null;
             replyTo = payload.replyTo || null;
+            if (payload.to !== undefined && payload.to !== null && typeof payload.to !== 'string') return;
             targetUser = payload.to || null; 
             targetChannel = payload.channel || 'main';
+            encrypted = payload.encrypted || null;
+        }
+
+        if (typeof msgText !== 'string') return;
+        // Encrypted DMs carry everything inside the envelope
+        if (encrypted && (!targetUser || msgText || msgImage || (msgAttachments && msgAttachments.length) || !isValidEnvelope(encrypted))) {
+            socket.emit('chat-message', formatMessage('System', 'That encrypted message was malformed and was not sent.'));
+            return;
         }
 
+        if (!checkRateLimit(targetUser ? 'dm' : 'message', sender, clientIp)) {
+            socket.emit('chat-message', formatMessage('System', 'You are sending messages too fast.'));
+            recordFloodStrike(socket, userData, 'message flood');
+            return;
+        }
+        if (!msgText.startsWith('/') && isRepeatedMessage(sender, msgText)) {
+            socket.emit('chat-message', formatMessage('System', 'Please stop repeating the same message.'));
+            recordFloodStrike(socket, userData, 'repeated messages');
+            return;
+        }
+
+        if (!targetUser) {
+            targetChannel = normalizeChannelName(targetChannel);
+            if (!targetChannel || !canAccessChannel(userData, channels[targetChannel])) {
+                socket.emit('chat-message', formatMessage('System', 'That channel does not exist or you do not have access.'));
+                return;
+            }
+        } else {
+            // DMs only go to real, live accounts, under their stored spelling
+            const recipient = await findUserByName(targetUser, 'username deletedAt').lean();
+            if (!recipient || recipient.deletedAt) {
+                socket.emit('chat-message', formatMessage('System', 'That user does not exist.'));
+                return;
+            }
+            targetUser = recipient.username;
+        }
+
+        let messageType = null;
+        let messagePoll = null;
         if (msgText.startsWith('/')) {
             const parts = msgText.trim().slice(1).split(/\s+/);
-            const command = parts[0].toLowerCase();
-            const args = parts.slice(1);
-
-            if (command === 'msg') {
-                const targetUsername = parts[1];
-                const privateText = parts.slice(2).join(' ').trim();
-                if (!targetUsername || !privateText) { socket.emit('chat-message', formatMessage('System', `Usage: /msg <username> <message>`)); return; }
-                const recipientId = findSocketIdByUsername(targetUsername);
-                if (!recipientId) { socket.emit('chat-message', formatMessage('System', `User '${targetUsername}' not found.`)); } 
-                else {
-                    const pmObject = { 
-                        id: generateId(), text: privateText, type: 'private', sender: sender, senderDisplayName: senderDisplayName, target: users[recipientId].username, time: new Date().toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' }), avatar: userAvatarCache[sender] || userData.avatar, replyTo: replyTo
-                    };
-                    socket.emit('chat-message', pmObject);
-                    io.to(recipientId).emit('chat-message', pmObject);
-                }
+            const name = parts[0].toLowerCase();
+            const ctx = {
+                socket, user: userData, sender, senderDisplayName, channel: targetChannel, dmTarget: targetUser, replyTo, args: parts.slice(1),
+                reply: text => { socket.emit('chat-message', formatMessage('System', text)); }
+            };
+            const command = commandRegistry.get(name);
+            if (!command) {
+                try { if (!targetUser && await dispatchBotCommand(name, ctx)) return; }
+                catch (e) { console.error("Bot Command Error", e); }
+                ctx.reply(`Unknown command /${name}. Type /help for the list.`);
                 return;
             }
+            const result = await runCommand(command, ctx);
+            if (!result || !result.send) return;
+            msgText = result.send.text;
+            messageType = result.send.type || null;
+            messagePoll = result.send.poll || null;
+        }
 
-            if (sender === ADMIN_USERNAME) {
-                const targetName = args[0];
-                if (command === 'server' && args.length > 0) {
-                    const serverMsg = formatMessage('Announcement', `: **${args.join(' ')}**`);
-                    io.emit('chat-message', serverMsg); addToHistory(serverMsg); savePublicMessage(serverMsg, targetChannel); return;
-                }
-                if (command === 'mute' && targetName) {
-                    mutedUsers.add(targetName.toLowerCase()); const muteMsg = formatMessage('System', `User ${targetName} has been muted.`); io.emit('chat-message', muteMsg); addToHistory(muteMsg); savePublicMessage(muteMsg, targetChannel); return;
-                }
-                if (command === 'unmute' && targetName) {
-                    mutedUsers.delete(targetName.toLowerCase()); const unmuteMsg = formatMessage('System', `User ${targetName} has been unmuted.`); io.emit('chat-message', unmuteMsg); addToHistory(unmuteMsg); savePublicMessage(unmuteMsg, targetChannel); return;
-                }
-                if (command === 'ban' && targetName) {
-                    const targetId = findSocketIdByUsername(targetName);
-                    if (targetId) {
-                        const targetSocket = io.sockets.sockets.get(targetId);
-                        const targetIp = getClientIp(targetSocket);
-                        bannedIPs.set(targetIp, true);
-                        try { await new Ban({ username: targetName, ip: targetIp, bannedBy: sender }).save(); } catch(e) {}
-                        io.to(targetId).emit('chat-message', formatMessage('System', 'You have been banned.'));
-                        targetSocket.disconnect(true);
-                        const banMsg = formatMessage('System', `User ${targetName} has been banned.`);
-                        io.emit('chat-message', banMsg); addToHistory(banMsg); savePublicMessage(banMsg, targetChannel);
-                    }
-                    return;
-                }
-                if (command === 'prune') {
-                    messageHistory.length = 0; await Message.deleteMany({}); io.emit('history', []); io.emit('chat-message', formatMessage('System', 'Chat history has been cleared.')); return;
-                }
-                if (command === 'motd' && args.length > 0) {
-                    serverMOTD = args.join(' ');
-                    try { await Config.findOneAndUpdate({ key: 'motd' }, { value: serverMOTD }, { upsert: true }); } catch(e) {}
-                    io.emit('motd', serverMOTD); io.emit('chat-message', formatMessage('System', `MOTD updated: ${serverMOTD}`)); return;
-                }
+        clearTyping(socket);
+
+        // The client's replyTo is only trusted for the parent id
+        let thread = null;
+        if (replyTo) {
+            thread = await resolveReplyTarget(replyTo, targetUser
+                ? { conversation: getConversationKey(sender, targetUser) }
+                : { channel: targetChannel });
+            if (!thread) {
+                socket.emit('chat-message', formatMessage('System', 'The message you replied to no longer exists.'));
+                return;
             }
+            replyTo = thread.replyTo;
         }
 
+        // Older clients send a bare `image` url, newer ones an `attachments` list
+        const attachments = await resolveAttachments(msgAttachments || (msgImage ? [msgImage] : []));
+        if (attachments.length) msgImage = attachments[0].url;
+
         if (targetUser) {
-            const recipientId = findSocketIdByUsername(targetUser);
             const pmObject = formatMessage(sender, msgText, userData.avatar, msgImage, true, replyTo, senderDisplayName);
-            savePrivateMessage(sender, targetUser, pmObject);
-            socket.emit('dm-received', { from: sender, to: targetUser, message: pmObject });
-            if (recipientId) {
-                io.to(recipientId).emit('dm-received', { from: sender, to: targetUser, message: pmObject });
+            pmObject.attachments = attachments;
+            if (messageType) pmObject.type = messageType;
+            if (encrypted) pmObject.encrypted = encrypted;
+            if (thread) pmObject.threadId = thread.threadId;
+            await savePrivateMessage(sender, targetUser, pmObject);
+            if (thread) {
+                updateThreadRoot(thread.threadId, 'dm', 1, pmObject.timestamp)
+                    .then(root => { if (root) notifyThreadParticipants(root, pmObject, 'dm'); })
+                    .catch(e => console.error("Thread Update Error", e));
             }
+            if (!encrypted) attachLinkPreviews(pmObject, 'dm');
+            socket.emit('dm-received', { from: sender, to: targetUser, message: pmObject });
+            emitToUser(targetUser, 'dm-received', { from: sender, to: targetUser, message: pmObject });
             return; 
         }
 
+        const mentions = await resolveMentions(msgText, userData);
+        if (mentions.deniedEveryone) socket.emit('chat-message', formatMessage('System', 'Only admins can use @everyone.'));
+
         const messageObject = formatMessage(sender, msgText, userData.avatar, msgImage, false, replyTo, senderDisplayName);
+        messageObject.attachments = attachments;
+        messageObject.mentions = { users: mentions.users, here: mentions.here, everyone: mentions.everyone };
         messageObject.channel = targetChannel;
+        if (messageType) messageObject.type = messageType;
+        if (messagePoll) messageObject.poll = messagePoll;
+        if (userData.isBot) messageObject.bot = true;
+        if (thread) messageObject.threadId = thread.threadId;
         
         io.to(targetChannel).emit('chat-message', messageObject);
         
-        if (targetChannel === 'main') addToHistory(messageObject);
-        savePublicMessage(messageObject, targetChannel);
+        await savePublicMessage(messageObject, targetChannel);
+        if (messagePoll) scheduleJob('poll-close', messagePoll.closesAt, { messageId: messageObject.id }, sender).catch(e => console.error("Job Error", e));
+        attachLinkPreviews(messageObject, 'channel');
+        dispatchOutgoingWebhooks('message.created', targetChannel, toWebhookMessage(messageObject));
+        if (mentions.users.length || mentions.here || mentions.everyone) notifyMentions(messageObject, mentions, targetChannel);
+        if (thread) {
+            const root = await updateThreadRoot(thread.threadId, 'channel', 1, messageObject.timestamp);
+            if (root) notifyThreadParticipants(root, messageObject, 'channel');
+        }
+    }
+
+    // --- THREADS ---
+    // { id, before, limit } -> the root message plus a page of replies, oldest first
+    socket.on('fetch-thread', async (data) => {
+        const user = users[socket.id];
+        const id = typeof data === 'string' ? data : (data && data.id);
+        if (!user || typeof id !== 'string') return;
+        try {
+            const found = await findMessageById(id);
+            if (!found || !canSeeMessage(user, found)) return;
+            const rootId = found.msg.threadId || found.msg.id;
+            const rootFound = rootId === found.msg.id ? found : await findMessageById(rootId);
+            if (!rootFound) return;
+            const Model = rootFound.kind === 'channel' ? Message : DMMessage;
+            const page = await fetchMessagePage(Model, { threadId: rootId }, data && data.before, (data && data.limit) || THREAD_PAGE_SIZE);
+            socket.emit('thread', { root: rootFound.msg.toObject(), replies: page.messages, hasMore: page.hasMore, before: (data && data.before) || null });
+        } catch (e) { console.error("Fetch Thread Error", e); }
     });
 
-    socket.on('join-vc', () => {
+    // --- SEARCH ---
+    socket.on('search-messages', async (data) => {
         const user = users[socket.id];
-        if(user) {
-            vcUsers[socket.id] = { id: socket.id, username: user.username, displayName: user.displayName, avatar: user.avatar };
-            broadcastVCUserList(); socket.broadcast.emit('vc-user-joined', socket.id);
+        if (!user || !data || typeof data.query !== 'string' || !data.query.trim()) return;
+        try {
+            const found = await searchMessages(user, data.query.slice(0, 200), data.page);
+            socket.emit('search-results', { query: data.query, ...found });
+        } catch (e) {
+            console.error("Search Error", e);
+            socket.emit('search-results', { query: data.query, results: [], page: 0, hasMore: false, error: 'Search failed.' });
+        }
+    });
+
+    // Messages around a search hit, so the client can jump to it
+    socket.on('fetch-message-context', async (id) => {
+        const user = users[socket.id];
+        if (!user || typeof id !== 'string') return;
+        try {
+            const found = await findMessageById(id);
+            if (!found || !canSeeMessage(user, found)) return;
+            const Model = found.kind === 'channel' ? Message : DMMessage;
+            const scope = found.kind === 'channel' ? { channel: found.msg.channel } : { conversation: found.msg.conversation };
+            const older = await fetchMessagePage(Model, scope, id, 10);
+            const newer = await Model.find({ ...scope, timestamp: { $gt: found.msg.timestamp } }).sort({ timestamp: 1 }).limit(10).lean();
+            socket.emit('message-context', {
+                id,
+                channel: found.kind === 'channel' ? found.msg.channel : null,
+                target: found.kind === 'dm' ? (found.msg.participants.find(p => p !== user.username) || user.username) : null,
+                messages: [...older.messages, found.msg.toObject(), ...newer]
+            });
+        } catch (e) { console.error("Message Context Error", e); }
+    });
+
+    // --- MENTION INBOX ---
+    socket.on('fetch-mentions', () => {
+        const user = users[socket.id];
+        if (user) sendMentionInbox(socket, user.username);
+    });
+
+    // Pass a list of inbox entry ids, or nothing to clear them all
+    socket.on('mark-mentions-read', async (ids) => {
+        const user = users[socket.id];
+        if (!user) return;
+        const query = { username: user.username, read: false };
+        if (Array.isArray(ids)) query._id = { $in: ids.filter(id => mongoose.isValidObjectId(id)) };
+        try {
+            await Mention.updateMany(query, { read: true });
+            emitToUser(user.username, 'mention-inbox', await Mention.find({ username: user.username, read: false }).sort({ timestamp: -1 }).limit(50).lean());
+        } catch (e) { console.error("Mention Read Error", e); }
+    });
+
+    // --- READ RECEIPTS ---
+    // { channel } or { target }, optionally with the messageId read up to (defaults to the latest)
+    socket.on('mark-read', async (data) => {
+        const user = users[socket.id];
+        if (!user || !data) return;
+
+        let key, Model, filter;
+        if (typeof data.target === 'string' && data.target) {
+            key = `dm:${data.target}`;
+            Model = DMMessage;
+            filter = { conversation: getConversationKey(user.username, data.target) };
+        } else {
+            const channel = normalizeChannelName(data.channel);
+            if (!channel || !canAccessChannel(user, channels[channel])) return;
+            key = `channel:${channel}`;
+            Model = Message;
+            filter = { channel };
+        }
+
+        try {
+            const readMsg = data.messageId
+                ? await Model.findOne({ ...filter, id: data.messageId }, { id: 1, timestamp: 1 }).lean()
+                : await Model.findOne(filter, { id: 1, timestamp: 1 }).sort({ timestamp: -1 }).lean();
+            if (!readMsg) return;
+
+            // Read position only ever moves forward
+            const existing = await ReadState.findOne({ username: user.username, key }).lean();
+            if (existing && existing.lastReadAt && existing.lastReadAt >= readMsg.timestamp) return;
+            await ReadState.findOneAndUpdate(
+                { username: user.username, key },
+                { lastReadMessageId: readMsg.id, lastReadAt: readMsg.timestamp },
+                { upsert: true }
+            );
+
+            sendUnreadCounts(user);
+            if (data.target) emitToUser(data.target, 'dm-seen', { by: user.username, messageId: readMsg.id, at: readMsg.timestamp });
+        } catch (e) { console.error("Mark Read Error", e); }
+    });
+
+    // --- SLASH COMMANDS ---
+    // For autocomplete; clients ask again on 'commands-changed' and when their role changes
+    socket.on('get-commands', async () => {
+        if (!users[socket.id]) return;
+        try { socket.emit('command-list', await getCommandListFor(users[socket.id])); } 
+        catch (e) { console.error("Command List Error", e); }
+    });
+
+    // --- BOT COMMANDS ---
+    // [{ name, description, usage }]; replaces this connection's previous list
+    socket.on('register-commands', async (list) => {
+        const user = users[socket.id];
+        if (!user || !user.isBot || !Array.isArray(list)) return;
+        const commands = [];
+        const rejected = [];
+        list.slice(0, 25).forEach(c => {
+            const name = c && typeof c.name === 'string' ? c.name.toLowerCase() : '';
+            if (!BOT_COMMAND_PATTERN.test(name) || commandRegistry.has(name)) { rejected.push(name || '?'); return; }
+            commands.push({
+                name,
+                description: typeof c.description === 'string' ? c.description.slice(0, 120) : '',
+                usage: typeof c.usage === 'string' ? c.usage.slice(0, 120) : ''
+            });
+        });
+        try {
+            // First bot to claim a name keeps it
+            const taken = (await stateStore.getAll('botcommands')).filter(e => e.id !== socket.id && e.bot !== user.username);
+            const accepted = commands.filter(c => {
+                if (!taken.some(e => e.commands.some(t => t.name === c.name))) return true;
+                rejected.push(c.name);
+                return false;
+            });
+            await stateStore.set('botcommands', socket.id, { id: socket.id, bot: user.username, commands: accepted });
+            socket.emit('commands-registered', { commands: accepted.map(c => c.name), rejected });
+            io.emit('commands-changed');
+        } catch (e) { console.error("Bot Command Error", e); }
+    });
+
+    // --- E2EE DEVICE KEYS ---
+    // { deviceId, publicKey }; re-publishing the same key just marks the device as seen
+    socket.on('publish-device-key', async (data) => {
+        const user = users[socket.id];
+        if (!user || !data || typeof data.deviceId !== 'string' || !DEVICE_ID_PATTERN.test(data.deviceId)) return;
+        if (typeof data.publicKey !== 'string' || !data.publicKey || data.publicKey.length > PUBLIC_KEY_MAX_LENGTH) return;
+        try {
+            const existing = await DeviceKey.findOne({ username: user.username, deviceId: data.deviceId }).lean();
+            const activeCount = await DeviceKey.countDocuments({ username: user.username, revokedAt: null });
+            if (existing && existing.publicKey === data.publicKey) {
+                // A retired key coming back counts against the limit again
+                if (existing.revokedAt && activeCount >= MAX_DEVICES_PER_USER) {
+                    socket.emit('chat-message', formatMessage('System', `You already have ${MAX_DEVICES_PER_USER} devices with encryption keys. Remove one first.`));
+                    return;
+                }
+                await DeviceKey.updateOne({ _id: existing._id }, { lastSeen: new Date(), revokedAt: null });
+                socket.emit('device-key-published', { deviceId: data.deviceId });
+                if (existing.revokedAt) notifyDeviceKeysChanged(user.username).catch(e => console.error("Device Key Error", e));
+                return;
+            }
+            if ((!existing || existing.revokedAt) && activeCount >= MAX_DEVICES_PER_USER) {
+                socket.emit('chat-message', formatMessage('System', `You already have ${MAX_DEVICES_PER_USER} devices with encryption keys. Remove one first.`));
+                return;
+            }
+            await DeviceKey.updateOne(
+                { username: user.username, deviceId: data.deviceId },
+                { publicKey: data.publicKey, createdAt: new Date(), lastSeen: new Date(), revokedAt: null },
+                { upsert: true }
+            );
+            socket.emit('device-key-published', { deviceId: data.deviceId });
+            notifyDeviceKeysChanged(user.username).catch(e => console.error("Device Key Error", e));
+        } catch (e) { console.error("Device Key Error", e); }
+    });
+
+    socket.on('remove-device-key', async (deviceId) => {
+        const user = users[socket.id];
+        if (!user || typeof deviceId !== 'string') return;
+        try {
+            const removed = await DeviceKey.updateOne({ username: user.username, deviceId, revokedAt: null }, { revokedAt: new Date() });
+            if (removed.modifiedCount) notifyDeviceKeysChanged(user.username).catch(e => console.error("Device Key Error", e));
+        } catch (e) { console.error("Device Key Error", e); }
+    });
+
+    socket.on('get-device-keys', async (username) => {
+        if (!users[socket.id] || typeof username !== 'string') return;
+        try {
+            const [keys, retired] = await Promise.all([getDeviceKeys(username), getDeviceKeys(username, true)]);
+            socket.emit('device-keys', { username, keys, retired });
+        } catch (e) { console.error("Device Key Error", e); }
+    });
+
+    // --- POLLS ---
+    // { id, option } casts or moves your vote; option null takes it back
+    socket.on('poll-vote', async (data) => {
+        const user = users[socket.id];
+        if (!user || !data || typeof data.id !== 'string') return;
+        if (!checkRateLimit('vote', user.username, clientIp)) return;
+        try {
+            const msg = await Message.findOne({ id: data.id, type: 'poll' }, 'channel poll').lean();
+            if (!msg || !msg.poll || !canAccessChannel(user, channels[msg.channel || 'main'])) return;
+            if (msg.poll.closed || new Date(msg.poll.closesAt) <= new Date()) {
+                socket.emit('chat-message', formatMessage('System', 'That poll is closed.'));
+                return;
+            }
+            const open = { id: data.id, 'poll.closed': false };
+            if (data.option === null) {
+                await Message.updateOne(open, { $pull: { 'poll.votes': { username: user.username } } });
+            } else {
+                const option = Number(data.option);
+                if (!Number.isInteger(option) || option < 0 || option >= msg.poll.options.length) return;
+                // Change an existing vote, otherwise add one; each step only matches in its own case
+                const changed = await Message.updateOne({ ...open, 'poll.votes.username': user.username }, { $set: { 'poll.votes.$.option': option } });
+                if (!changed.matchedCount) {
+                    await Message.updateOne({ ...open, 'poll.votes.username': { $ne: user.username } }, { $push: { 'poll.votes': { username: user.username, option } } });
+                }
+            }
+            const updated = await Message.findOne({ id: data.id }, 'poll').lean();
+            io.to(msg.channel || 'main').emit('poll-updated', { id: data.id, poll: updated.poll });
+        } catch (e) { console.error("Poll Vote Error", e); }
+    });
+
+    // --- TYPING ---
+    // Relayed to the current channel room, or only to the recipient for DMs
+    socket.on('typing', (target) => {
+        const user = users[socket.id];
+        if (!user) return;
+        const dmTarget = (typeof target === 'string' && target) ? target : null;
+        const channel = dmTarget ? null : getCurrentChannel(socket);
+        if (!dmTarget && !channel) return;
+
+        const prev = typingStates[socket.id];
+        if (prev && (prev.target !== dmTarget || prev.channel !== channel)) clearTyping(socket);
+
+        const state = typingStates[socket.id];
+        if (state) {
+            clearTimeout(state.timer);
+        } else {
+            typingStates[socket.id] = { username: user.username, channel, target: dmTarget };
+            if (dmTarget) emitToUser(dmTarget, 'typing', user.username, { dm: true });
+            else socket.to(channel).emit('typing', user.username, { channel });
+        }
+        // Expire on our side in case stop-typing never arrives
+        typingStates[socket.id].timer = setTimeout(() => clearTyping(socket), TYPING_TIMEOUT);
+    });
+
+    socket.on('stop-typing', () => clearTyping(socket));
+
+    // --- EDIT / DELETE MESSAGES ---
+    function canModifyMessage(user, msg) {
+        return msg.sender === user.username || isAdmin(user);
+    }
+
+    socket.on('edit-message', async (data) => {
+        const user = users[socket.id];
+        if (!user || !data || typeof data.id !== 'string' || typeof data.newText !== 'string') return;
+        const newText = data.newText.trim();
+        if (!newText) return;
+
+        const activeBan = findActiveBan(clientIp, user.username);
+        const activeMute = getActiveSanction(mutedUsers, user.username);
+        if (activeBan || activeMute) {
+            socket.emit('chat-message', formatMessage('System', `You are ${activeBan ? 'banned' : 'muted'} ${describeSanction(activeBan || activeMute)}.`));
+            return;
+        }
+        if (!checkRateLimit('edit', user.username, clientIp)) {
+            socket.emit('chat-message', formatMessage('System', 'You are editing messages too fast.'));
+            return;
         }
+
+        try {
+            const found = await findMessageById(data.id);
+            if (!found || !found.msg) return;
+            if (!canModifyMessage(user, found.msg)) {
+                socket.emit('chat-message', formatMessage('System', 'You can only edit your own messages.'));
+                return;
+            }
+            if (found.msg.encrypted) {
+                socket.emit('chat-message', formatMessage('System', 'Encrypted messages cannot be edited.'));
+                return;
+            }
+
+            const editedAt = new Date();
+            const update = { id: data.id, text: newText, isEdited: true, editedAt };
+
+            if (found.kind === 'channel') {
+                await Message.updateOne({ id: data.id }, { text: newText, isEdited: true, editedAt });
+            } else {
+                await DMMessage.updateOne({ id: data.id }, { text: newText, isEdited: true, editedAt });
+            }
+            emitToMessageAudience(found, 'message-updated', update);
+            if (found.kind === 'channel') dispatchOutgoingWebhooks('message.updated', found.msg.channel || 'main', update);
+            attachLinkPreviews({ id: data.id, text: newText, linkPreviews: found.msg.linkPreviews }, found.kind);
+        } catch (e) { console.error("Edit Message Error", e); }
+    });
+
+    socket.on('delete-message', async (id) => {
+        const user = users[socket.id];
+        if (!user || typeof id !== 'string') return;
+
+        try {
+            const found = await findMessageById(id);
+            if (!found || !found.msg) return;
+            if (!canModifyMessage(user, found.msg)) {
+                socket.emit('chat-message', formatMessage('System', 'You can only delete your own messages.'));
+                return;
+            }
+
+            if (found.msg.threadId) updateThreadRoot(found.msg.threadId, found.kind, -1);
+            if (found.kind === 'channel') {
+                await Message.deleteOne({ id });
+            } else {
+                await DMMessage.deleteOne({ id });
+            }
+            emitToMessageAudience(found, 'message-deleted', id);
+            if (found.kind === 'channel') dispatchOutgoingWebhooks('message.deleted', found.msg.channel || 'main', { id });
+            const urls = new Set([found.msg.image, ...(found.msg.attachments || []).map(a => a.url)]);
+            urls.forEach(url => releaseUpload(url));
+        } catch (e) { console.error("Delete Message Error", e); }
+    });
+
+    // --- AUDIT LOG (admins only) ---
+    socket.on('get-audit-log', async (data) => {
+        data = data && typeof data === 'object' ? data : {};
+        const user = users[socket.id];
+        if (!hasPermission(user, 'auditlog')) return;
+        const query = {};
+        if (data.action) query.action = String(data.action);
+        if (data.actor) query.actor = String(data.actor);
+        if (data.target) query.target = String(data.target);
+        if (data.before) query.timestamp = { $lt: new Date(data.before) };
+        const limit = Math.min(parseInt(data.limit, 10) || 50, 200);
+        try {
+            const entries = await AuditLog.find(query).sort({ timestamp: -1 }).limit(limit).lean();
+            socket.emit('audit-log', entries);
+        } catch (e) { console.error("Audit Log Error", e); }
     });
-    socket.on('leave-vc', () => {
-        if (vcUsers[socket.id]) { delete vcUsers[socket.id]; broadcastVCUserList(); socket.broadcast.emit('vc-user-left', socket.id); }
+
+    // --- REACTIONS ---
+    const MAX_REACTIONS_PER_MESSAGE = 20;
+    function isValidEmoji(emoji) {
+        return typeof emoji === 'string' && emoji.length > 0 && emoji.length <= 16 && !/\s/.test(emoji);
+    }
+
+    async function updateReaction(data, adding) {
+        const user = users[socket.id];
+        if (!user || !data || typeof data.id !== 'string' || !isValidEmoji(data.emoji)) return;
+        const { id, emoji } = data;
+
+        try {
+            const found = await findMessageById(id);
+            if (!found || !canSeeMessage(user, found)) return;
+            const Model = found.kind === 'channel' ? Message : DMMessage;
+
+            if (adding) {
+                const existing = await Model.updateOne({ id, 'reactions.emoji': emoji }, { $addToSet: { 'reactions.$.users': user.username } });
+                if (existing.matchedCount === 0) {
+                    if (found.msg.reactions.length >= MAX_REACTIONS_PER_MESSAGE) return;
+                    await Model.updateOne({ id, 'reactions.emoji': { $ne: emoji } }, { $push: { reactions: { emoji, users: [user.username] } } });
+                }
+            } else {
+                await Model.updateOne({ id, 'reactions.emoji': emoji }, { $pull: { 'reactions.$.users': user.username } });
+                await Model.updateOne({ id }, { $pull: { reactions: { users: { $size: 0 } } } });
+            }
+
+            const updated = await Model.findOne({ id }, { reactions: 1 }).lean();
+            if (!updated) return;
+            emitToMessageAudience(found, 'reaction-updated', {
+                id,
+                reactions: updated.reactions.map(r => ({ emoji: r.emoji, count: r.users.length, users: r.users }))
+            });
+        } catch (e) { console.error("Reaction Error", e); }
+    }
+
+    socket.on('add-reaction', (data) => updateReaction(data, true));
+    socket.on('remove-reaction', (data) => updateReaction(data, false));
+
+    // Accepts a room name or { room, muted, deafened }; joining another room leaves the current one
+    socket.on('join-vc', async (data) => {
+        if (!users[socket.id]) return;
+        const state = data && typeof data === 'object' ? data : {};
+        const room = normalizeVoiceRoom(typeof data === 'string' ? data : state.room || VOICE_ROOMS[0]);
+        if (!room) { socket.emit('chat-message', formatMessage('System', `Unknown voice room. Rooms: ${VOICE_ROOMS.join(', ')}`)); return; }
+        try { await joinVoiceRoom(socket, room, state); } catch (e) { console.error("Join VC Error", e); }
+    });
+    socket.on('leave-vc', async () => {
+        try { await leaveVoiceRoom(socket); } catch (e) { console.error("Leave VC Error", e); }
+    });
+    // Mic / headphone / voice-activity flags for the sidebar and the room
+    socket.on('vc-state', async (data) => {
+        const entry = vcUsers[socket.id];
+        if (!entry || !data) return;
+        const wasMuted = entry.muted, wasDeafened = entry.deafened;
+        ['muted', 'deafened', 'speaking'].forEach(flag => { if (typeof data[flag] === 'boolean') entry[flag] = data[flag]; });
+        if (entry.deafened) entry.muted = true;
+        if (entry.muted) entry.speaking = false;
+        try {
+            await syncVCUser(socket.id);
+            io.to(voiceRoom(entry.room)).emit('vc-user-state', { id: socket.id, muted: entry.muted, deafened: entry.deafened, speaking: entry.speaking });
+            if (wasMuted !== entry.muted || wasDeafened !== entry.deafened) broadcastVoiceRooms();
+        } catch (e) { console.error("VC State Error", e); }
+    });
+    // Only relayed between members of the same voice room
+    socket.on('signal', async (data) => {
+        const me = vcUsers[socket.id];
+        if (!me || !data || typeof data.target !== 'string' || data.target === socket.id) return;
+        if (!isValidSignal(data.signal)) return;
+        if (!checkRateLimit('signal', me.username, clientIp)) return;
+        try {
+            const target = await stateStore.get('vc', data.target);
+            if (!target || target.room !== me.room) return;
+            io.to(data.target).emit('signal', { sender: socket.id, signal: data.signal });
+        } catch (e) { console.error("Signal Error", e); }
     });
-    socket.on('signal', (data) => { io.to(data.target).emit('signal', { sender: socket.id, signal: data.signal }); });
     
     // --- NEW: SCREEN SHARE TRACKING ---
-    socket.on('screen-share-start', () => {
+    socket.on('screen-share-start', async () => {
         const user = users[socket.id];
         if(user) {
-            activeScreenShares.add(user.username);
-            io.emit('screen-share-update', Array.from(activeScreenShares));
+            await stateStore.set('screens', socket.id, { username: user.username });
+            broadcastScreenShares();
         }
     });
-    socket.on('screen-share-stop', () => {
+    socket.on('screen-share-stop', async () => {
         const user = users[socket.id];
         if(user) {
-            activeScreenShares.delete(user.username);
-            io.emit('screen-share-update', Array.from(activeScreenShares));
+            await stateStore.remove('screens', socket.id);
+            broadcastScreenShares();
         }
     });
 
-    socket.on('disconnect', () => {
+    socket.on('disconnect', async () => {
+        clearTyping(socket);
         const user = users[socket.id];
         if (user) {
             const username = user.username.toLowerCase();
             delete users[socket.id];
-            
-            // Cleanup Screen Shares
-            if (activeScreenShares.has(user.username)) {
-                activeScreenShares.delete(user.username);
-                io.emit('screen-share-update', Array.from(activeScreenShares));
-            }
 
-            if (vcUsers[socket.id]) { 
-                delete vcUsers[socket.id]; 
-                broadcastVCUserList(); 
-                socket.broadcast.emit('vc-user-left', socket.id); 
-            }
+            try {
+                await stateStore.remove('presence', socket.id);
+                // Mark the pending leave so a reconnect on another instance doesn't announce a join
+                await stateStore.set('leaving', username, { username });
+                if (user.isBot && await stateStore.get('botcommands', socket.id)) {
+                    await stateStore.remove('botcommands', socket.id);
+                    io.emit('commands-changed');
+                }
+
+                // Cleanup Screen Shares
+                if (await stateStore.get('screens', socket.id)) {
+                    await stateStore.remove('screens', socket.id);
+                    broadcastScreenShares();
+                }
+            } catch (e) { console.error("Presence Error", e); }
+
+            try { await leaveVoiceRoom(socket); } catch (e) { console.error("Leave VC Error", e); }
 
             if (disconnectTimeouts[username]) clearTimeout(disconnectTimeouts[username]);
 
-            disconnectTimeouts[username] = setTimeout(() => {
-                const isStillOnline = Object.values(users).some(u => u.username.toLowerCase() === username);
-                
-                if (!isStillOnline) {
+            disconnectTimeouts[username] = setTimeout(async () => {
+                delete disconnectTimeouts[username];
+                try {
+                    await stateStore.remove('leaving', username);
+                    if (await findOnlineUser(username)) return;
                     const leaveMsg = formatMessage('System', `${user.displayName} (${user.username}) has left.`);
                     io.to('main').emit('chat-message', leaveMsg); 
-                    addToHistory(leaveMsg); 
                     savePublicMessage(leaveMsg, 'main');
                     io.emit('user-status-change', { username: user.username, online: false });
-                }
-                delete disconnectTimeouts[username];
+                } catch (e) { console.error("Presence Error", e); }
             }, 2000); 
         }
     });
 });
 
-app.get('/i-like-my-toast-with-butter', async (req, res) => {
-    try { await Ban.deleteMany({}); bannedIPs.clear(); res.send("SUCCESS"); } catch (e) { res.send(e.message); }
-});
-
 // This tells your server to show eagler.html when someone visits /eagler
 app.get('/eagler', (req, res) => {
     res.sendFile(path.join(__dirname, 'public/eagler.html'));
 });
 
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+// Only start when run directly, so the tests can require the helpers below
+if (require.main === module) {
+    connectDatabase();
+    setupSharedState()
+        .catch(err => console.error("Shared State Error, staying single-instance", err))
+        .finally(() => server.listen(PORT, () => console.log(`Server running on port ${PORT}`)));
+
+    // Drop this instance's presence so peers don't wait for the heartbeat to expire
+    process.on('SIGTERM', () => {
+        stateStore.close().catch(() => {}).finally(() => process.exit(0));
+    });
+}
+
+module.exports = {
+    io, users, enableCluster, createMemoryStateStore, publishClusterEvent, trackPresence, getOnlineUsers, joinVoiceRoom, forceVoiceAction,
+    signSession, readSession, isSessionCurrent, checkRateLimit, rateLimitIpKey, getClientIp,
+    ROLE_RANK, registerCommand, runCommand, canUseCommand, commandRegistry, canAccessChannel, canManageChannel,
+    isValidEnvelope, parseDuration, parseSanctionArgs, parseScheduleTime, looksLikeScheduleTime, parseSearchQuery
+};
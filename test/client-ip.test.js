@@ -0,0 +1,43 @@
+// Socket client addresses must match what Express reports for HTTP: `npm test`
+const { test } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const express = require('express');
+const { getClientIp, rateLimitIpKey } = require('../server');
+
+const fakeSocket = (address, forwarded) => ({ handshake: { address, headers: forwarded === undefined ? {} : { 'x-forwarded-for': forwarded } } });
+
+test('only the hop added by our proxy is trusted', () => {
+    assert.strictEqual(getClientIp(fakeSocket('10.0.0.1')), '10.0.0.1');
+    assert.strictEqual(getClientIp(fakeSocket('10.0.0.1', '203.0.113.7')), '203.0.113.7');
+    // A client-supplied entry on the left cannot pick the address
+    assert.strictEqual(getClientIp(fakeSocket('10.0.0.1', '1.2.3.4, 203.0.113.7')), '203.0.113.7');
+    assert.strictEqual(getClientIp(fakeSocket('10.0.0.1', ' , ')), '10.0.0.1');
+});
+
+test('agrees with req.ip under the same trust proxy setting', async () => {
+    const app = express();
+    app.set('trust proxy', 1);
+    app.get('/', (req, res) => res.send(req.ip));
+    const server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        for (const forwarded of [undefined, '203.0.113.7', '1.2.3.4, 203.0.113.7', '5.6.7.8,1.2.3.4,  203.0.113.9']) {
+            const reqIp = await new Promise((resolve, reject) => {
+                http.get({ host: '127.0.0.1', port: server.address().port, headers: forwarded ? { 'X-Forwarded-For': forwarded } : {} }, res => {
+                    let body = '';
+                    res.on('data', c => { body += c; });
+                    res.on('end', () => resolve(body));
+                }).on('error', reject);
+            });
+            assert.strictEqual(getClientIp(fakeSocket('127.0.0.1', forwarded)), reqIp);
+        }
+    } finally { server.close(); }
+});
+
+test('per-address rate limits share a bucket across mapped IPv4 and within an IPv6 /64', () => {
+    assert.strictEqual(rateLimitIpKey('::ffff:203.0.113.7'), rateLimitIpKey('203.0.113.7'));
+    assert.strictEqual(rateLimitIpKey('2001:db8:1:2::9'), rateLimitIpKey('2001:db8:1:2:ffff:0:0:1'));
+    assert.notStrictEqual(rateLimitIpKey('2001:db8:1:2::9'), rateLimitIpKey('2001:db8:1:3::9'));
+    assert.notStrictEqual(rateLimitIpKey('203.0.113.7'), rateLimitIpKey('203.0.113.8'));
+});
@@ -0,0 +1,107 @@
+// Two server instances in one process, joined by local stand-ins for the Redis adapter and store: `npm test`
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+
+function loadInstance() {
+    delete require.cache[require.resolve('../server')];
+    return require('../server');
+}
+// Relays serverSideEmit to every other instance, never back to the sender, like the Redis adapter
+function createBus() {
+    const namespaces = new Set();
+    return Base => class LocalBusAdapter extends Base {
+        constructor(nsp) { super(nsp); namespaces.add(nsp); }
+        serverSideEmit(packet) {
+            namespaces.forEach(nsp => { if (nsp !== this.nsp) setImmediate(() => nsp._onServerSideEmit(packet)); });
+        }
+    };
+}
+// Same contract as createRedisStateStore: writes go to this instance's maps, reads merge all of them
+function createSharedStore(shared, instanceId) {
+    const own = collection => {
+        shared[collection] = shared[collection] || {};
+        return (shared[collection][instanceId] = shared[collection][instanceId] || new Map());
+    };
+    const all = collection => Object.values(shared[collection] || {});
+    return {
+        async set(collection, field, value) { own(collection).set(field, JSON.parse(JSON.stringify(value))); },
+        async get(collection, field) { return (all(collection).find(m => m.has(field)) || new Map()).get(field) || null; },
+        async remove(collection, field) { own(collection).delete(field); },
+        async getAll(collection) { return all(collection).flatMap(m => [...m.values()]); },
+        async heartbeat() {},
+        async close() { Object.values(shared).forEach(c => { delete c[instanceId]; }); }
+    };
+}
+// Enough of a Socket.IO socket for the voice helpers, registered as connected to `server`
+function fakeSocket(server, id) {
+    const socket = {
+        id, rooms: new Set([id]), emitted: [],
+        join(room) { this.rooms.add(room); },
+        leave(room) { this.rooms.delete(room); },
+        emit(event, data) { this.emitted.push([event, data]); },
+        to() { return { emit() {} }; }
+    };
+    server.io.sockets.sockets.set(id, socket);
+    return socket;
+}
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+let a, b, storeB;
+before(async () => {
+    const bus = createBus();
+    const shared = {};
+    a = loadInstance();
+    b = loadInstance();
+    storeB = createSharedStore(shared, 'b');
+    await a.enableCluster(bus(a.io.of('/').adapter.constructor), createSharedStore(shared, 'a'));
+    await b.enableCluster(bus(b.io.of('/').adapter.constructor), storeB);
+});
+
+test('memory store keeps one value per field and lists them all', async () => {
+    const store = a.createMemoryStateStore();
+    assert.deepStrictEqual(await store.getAll('presence'), []);
+    await store.set('presence', 's1', { username: 'amy' });
+    await store.set('presence', 's1', { username: 'amy', role: 'admin' });
+    await store.set('presence', 's2', { username: 'bob' });
+    assert.deepStrictEqual(await store.get('presence', 's1'), { username: 'amy', role: 'admin' });
+    assert.strictEqual(await store.get('presence', 'missing'), null);
+    assert.strictEqual(await store.get('vc', 's1'), null);
+    await store.remove('presence', 's1');
+    assert.deepStrictEqual(await store.getAll('presence'), [{ username: 'bob' }]);
+});
+
+test('presence tracked on one instance is visible on the other', async () => {
+    a.users.p1 = { username: 'Amy', displayName: 'Amy A', avatar: 'amy.png', role: 'member' };
+    await a.trackPresence('p1');
+    const online = await b.getOnlineUsers();
+    assert.deepStrictEqual(online.find(u => u.id === 'p1'), { id: 'p1', username: 'Amy', displayName: 'Amy A', avatar: 'amy.png', role: 'member' });
+});
+
+test('role changes published by one instance update the other one\'s sockets and presence', async () => {
+    b.users.r1 = { username: 'Rae', displayName: 'Rae', avatar: '', role: 'member' };
+    await b.trackPresence('r1');
+    a.publishClusterEvent('role-changed', { username: 'rae', role: 'moderator' });
+    await settle();
+    assert.strictEqual(b.users.r1.role, 'moderator');
+    assert.strictEqual((await a.getOnlineUsers()).find(u => u.id === 'r1').role, 'moderator');
+});
+
+test('voice state is shared and admin moves reach the instance that owns the socket', async () => {
+    const socket = fakeSocket(a, 'v1');
+    a.users.v1 = { username: 'Vic', displayName: 'Vic', avatar: '', role: 'member' };
+    await a.joinVoiceRoom(socket, 'general', { muted: true });
+    const seen = () => storeB.getAll('vc');
+    assert.deepStrictEqual((await seen()).map(v => [v.id, v.room, v.muted]), [['v1', 'general', true]]);
+
+    // Instance b doesn't own v1, so the move travels over the bus
+    await b.forceVoiceAction('v1', 'gaming');
+    await settle();
+    assert.deepStrictEqual((await seen()).map(v => [v.id, v.room, v.muted]), [['v1', 'gaming', true]]);
+    assert.ok(socket.rooms.has('vc:gaming') && !socket.rooms.has('vc:general'));
+    assert.ok(socket.emitted.some(([event, data]) => event === 'vc-moved' && data.room === 'gaming'));
+
+    await b.forceVoiceAction('v1', null);
+    await settle();
+    assert.deepStrictEqual(await seen(), []);
+    assert.ok(socket.emitted.some(([event]) => event === 'vc-kicked'));
+});
@@ -0,0 +1,137 @@
+// Pure parsers and the role/permission rules behind slash commands and channels: `npm test`
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+    users, ROLE_RANK, registerCommand, runCommand, canUseCommand, commandRegistry, canAccessChannel, canManageChannel,
+    isValidEnvelope, parseDuration, parseSanctionArgs, parseScheduleTime, looksLikeScheduleTime, parseSearchQuery
+} = require('../server');
+
+const HOUR = 60 * 60 * 1000;
+
+test('parseDuration accepts positive amounts of s, m, h, d and w only', () => {
+    assert.strictEqual(parseDuration('30s'), 30 * 1000);
+    assert.strictEqual(parseDuration('2H'), 2 * HOUR);
+    assert.strictEqual(parseDuration('1w'), 7 * 24 * HOUR);
+    for (const bad of ['0m', '5y', 'm', '-5m', '1.5h', '', undefined, 'soon']) assert.strictEqual(parseDuration(bad), null, bad);
+});
+
+test('parseSanctionArgs splits duration from reason and rejects malformed durations', () => {
+    assert.deepStrictEqual(parseSanctionArgs(['bob', '10m', 'spamming', 'links']), { durationMs: 10 * 60 * 1000, reason: 'spamming links' });
+    assert.deepStrictEqual(parseSanctionArgs(['bob', 'being', 'rude']), { durationMs: null, reason: 'being rude' });
+    assert.deepStrictEqual(parseSanctionArgs(['bob']), { durationMs: null, reason: '' });
+    assert.ok(parseSanctionArgs(['bob', '0m', 'oops']).error);
+    assert.ok(parseSanctionArgs(['bob', '10y']).error);
+    assert.strictEqual(parseSanctionArgs(['bob', 'x'.repeat(300)]).reason.length, 200);
+});
+
+test('parseScheduleTime reads "in <duration>" and "at <time>"', () => {
+    const inTwo = parseScheduleTime(['in', '2h', 'stand', 'up']);
+    assert.ok(Math.abs(inTwo.runAt - Date.now() - 2 * HOUR) < 1000);
+    assert.deepStrictEqual(inTwo.rest, ['stand', 'up']);
+
+    const at = parseScheduleTime(['at', '17:30', 'meeting']);
+    assert.strictEqual(at.runAt.getHours(), 17);
+    assert.strictEqual(at.runAt.getMinutes(), 30);
+    assert.ok(at.runAt > new Date() && at.runAt - Date.now() <= 24 * HOUR);
+
+    const future = new Date(Date.now() + 48 * HOUR).toISOString();
+    assert.strictEqual(parseScheduleTime(['at', future]).runAt.getTime(), new Date(future).getTime());
+
+    for (const bad of [['in', '0m'], ['in', 'soon'], ['at', '99:99'], ['at', '24:00'], ['at', 'noon'], ['at', '2000-01-01'], ['at', '2999-01-01'], ['tomorrow'], []]) {
+        assert.strictEqual(parseScheduleTime(bad), null, bad.join(' '));
+    }
+});
+
+test('only time-like words after in/at make /server schedule', () => {
+    for (const token of ['2h', '2x', '17:30', '99:99', '2026-05-01T09:00']) assert.strictEqual(looksLikeScheduleTime(token), true, token);
+    for (const token of ['the', 'noon', 'lobby', '', undefined]) assert.strictEqual(looksLikeScheduleTime(token), false, String(token));
+});
+
+test('parseSearchQuery pulls filters out of the free text', () => {
+    const parsed = parseSearchQuery('from:@bob in:#School has:Image before:2024-05-01 after:2024-04-01 lunch plans');
+    assert.strictEqual(parsed.text, 'lunch plans');
+    assert.strictEqual(parsed.from, 'bob');
+    assert.strictEqual(parsed.inChannel, 'school');
+    assert.deepStrictEqual(parsed.has, ['image']);
+    assert.strictEqual(parsed.before.getTime(), new Date('2024-05-01').getTime());
+    assert.strictEqual(parsed.after.getTime(), new Date('2024-04-01').getTime());
+
+    assert.strictEqual(parseSearchQuery('in:@amy hi').inDm, 'amy');
+    // An invalid channel name must not fall back to searching everywhere
+    assert.strictEqual(parseSearchQuery('in:#bad!name').inChannel, '__none__');
+    const day = parseSearchQuery('during:2024-05-01');
+    assert.strictEqual(day.before - day.after, 24 * HOUR);
+    assert.strictEqual(parseSearchQuery('').text, '');
+});
+
+test('isValidEnvelope checks the shape of encrypted DMs', () => {
+    const envelope = () => ({ v: 1, senderDevice: 'device-aaaa', iv: 'iv', ciphertext: 'ct', keys: { 'device-aaaa': { iv: 'a', wrapped: 'b' }, 'device-bbbb': { iv: 'c', wrapped: 'd' } } });
+    assert.strictEqual(isValidEnvelope(envelope()), true);
+    const broken = [
+        e => { e.v = 2; },
+        e => { e.senderDevice = 'short'; },
+        e => { e.ciphertext = 5; },
+        e => { e.keys = {}; },
+        e => { e.keys['bad id!'] = { iv: 'a', wrapped: 'b' }; },
+        e => { e.keys['device-aaaa'].wrapped = null; },
+        e => { e.ciphertext = 'x'.repeat(70 * 1024); }
+    ];
+    broken.forEach((breakIt, i) => { const e = envelope(); breakIt(e); assert.strictEqual(isValidEnvelope(e), false, `case ${i}`); });
+    assert.strictEqual(isValidEnvelope(null), false);
+    assert.strictEqual(isValidEnvelope('envelope'), false);
+});
+
+const ROLES = Object.keys(ROLE_RANK);
+const person = role => ({ username: `a-${role}`, role });
+
+test('every command is usable exactly by roles at or above its permission', () => {
+    assert.ok(commandRegistry.size > 0);
+    for (const command of commandRegistry.values()) {
+        for (const role of ROLES) {
+            const expected = !command.permission || ROLE_RANK[role] >= ROLE_RANK[command.permission];
+            assert.strictEqual(canUseCommand(person(role), command), expected, `/${command.name} as ${role}`);
+        }
+        if (command.permission) assert.strictEqual(canUseCommand(null, command), false, `/${command.name} logged out`);
+    }
+    // Spot checks so a permission typo in the registry can't hide behind the generic loop
+    assert.strictEqual(commandRegistry.get('mute').permission, 'moderator');
+    assert.strictEqual(commandRegistry.get('ban').permission, 'admin');
+    assert.strictEqual(commandRegistry.get('server').permission, 'admin');
+    assert.strictEqual(commandRegistry.get('msg').permission, null);
+});
+
+test('moderation commands only reach users of lower rank', async () => {
+    let ran = 0;
+    registerCommand({ name: 'test-target', args: [{ name: 'username', required: true }], permission: 'moderator', targetsUser: true, run: async () => { ran++; } });
+    const command = commandRegistry.get('test-target');
+    // Targets are looked up among connected users first, so no database is needed
+    ROLES.forEach(role => { users[`target-${role}`] = { username: `t-${role}`, role }; });
+
+    for (const actorRole of ROLES) {
+        for (const targetRole of ROLES) {
+            const replies = [];
+            const before = ran;
+            await runCommand(command, { user: person(actorRole), args: [`t-${targetRole}`], reply: text => replies.push(text) });
+            const allowed = ROLE_RANK[actorRole] >= ROLE_RANK.moderator && ROLE_RANK[targetRole] < ROLE_RANK[actorRole];
+            assert.strictEqual(ran - before, allowed ? 1 : 0, `${actorRole} -> ${targetRole}: ${replies.join(' ')}`);
+        }
+    }
+});
+
+test('private channels are open to members and admins, managed by creator and admins', () => {
+    const open = { name: 'lobby', isPrivate: false, members: [], creator: 'someone' };
+    const secret = { name: 'secret', isPrivate: true, members: ['Mia'], creator: 'Mia' };
+    const archived = { ...open, archived: true };
+    for (const role of ROLES) {
+        const outsider = person(role);
+        const isAdmin = ROLE_RANK[role] >= ROLE_RANK.admin;
+        assert.strictEqual(canAccessChannel(outsider, open), true);
+        assert.strictEqual(canAccessChannel(outsider, archived), false);
+        assert.strictEqual(canAccessChannel(outsider, secret), isAdmin, `${role} outsider`);
+        assert.strictEqual(canManageChannel(outsider, secret), isAdmin, `${role} managing`);
+    }
+    assert.strictEqual(canAccessChannel({ username: 'mia', role: 'member' }, secret), true);
+    assert.strictEqual(canManageChannel({ username: 'Mia', role: 'member' }, secret), true);
+    assert.strictEqual(canAccessChannel(null, secret), false);
+    assert.strictEqual(canAccessChannel(person('owner'), undefined), false);
+});
@@ -0,0 +1,60 @@
+// Session cookies and the auth rate limit: `npm test`
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+process.env.SESSION_SECRET = 'test-secret';
+const { signSession, readSession, isSessionCurrent, checkRateLimit } = require('../server');
+
+// Signs an arbitrary payload the way signSession does, to fake old or expired sessions
+function forge(data) {
+    const payload = Buffer.from(JSON.stringify(data)).toString('base64url');
+    return `${payload}.${crypto.createHmac('sha256', 'test-secret').update(payload).digest('base64url')}`;
+}
+const account = { username: 'alice', _id: new mongoose.Types.ObjectId() };
+
+test('signed sessions read back with the account id', () => {
+    const session = readSession(signSession(account));
+    assert.strictEqual(session.u, 'alice');
+    assert.strictEqual(session.a, String(account._id));
+    assert.ok(session.exp > Date.now());
+});
+
+test('tampered, malformed and expired sessions are rejected', () => {
+    const [payload, sig] = signSession(account).split('.');
+    const swapped = Buffer.from(JSON.stringify({ u: 'admin', a: String(account._id), iat: Date.now(), exp: Date.now() + 60000 })).toString('base64url');
+    assert.strictEqual(readSession(`${swapped}.${sig}`), null);
+    assert.strictEqual(readSession(`${payload}.`), null);
+    assert.strictEqual(readSession(payload), null);
+    assert.strictEqual(readSession(undefined), null);
+    assert.strictEqual(readSession(forge({ u: 'alice', a: String(account._id), iat: Date.now() - 2000, exp: Date.now() - 1000 })), null);
+    assert.strictEqual(readSession(forge({ u: 'alice', iat: Date.now() })), null);
+});
+
+test('isSessionCurrent ties the session to one account', () => {
+    const session = readSession(signSession(account));
+    assert.strictEqual(isSessionCurrent(session, account), true);
+    // Same name, re-registered after a deletion
+    assert.strictEqual(isSessionCurrent(session, { username: 'alice', _id: new mongoose.Types.ObjectId() }), false);
+    assert.strictEqual(isSessionCurrent(session, null), false);
+});
+
+test('isSessionCurrent falls back to the issue time for sessions without an account id', () => {
+    const created = account._id.getTimestamp().getTime();
+    assert.strictEqual(isSessionCurrent({ u: 'alice', iat: created + 1000 }, account), true);
+    assert.strictEqual(isSessionCurrent({ u: 'alice', iat: created - 1000 }, account), false);
+    assert.strictEqual(isSessionCurrent({ u: 'alice' }, account), false);
+});
+
+test('auth attempts are limited per username and per address', () => {
+    let allowed = 0;
+    for (let i = 0; i < 10; i++) if (checkRateLimit('auth', 'Bob', `10.0.0.${i}`)) allowed++;
+    assert.strictEqual(allowed, 5);
+    // Case does not give a fresh bucket
+    assert.strictEqual(checkRateLimit('auth', 'BOB', '10.0.1.1'), false);
+
+    allowed = 0;
+    for (let i = 0; i < 30; i++) if (checkRateLimit('auth', `user${i}`, '10.0.2.1')) allowed++;
+    assert.strictEqual(allowed, 20);
+});
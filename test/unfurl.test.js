@@ -0,0 +1,76 @@
+// Runs the unfurler against a local HTTP fixture server: `npm test`
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { isPrivateAddress, unfurlUrl } = require('../unfurl');
+
+// The fixture listens on loopback, so these policies let 127.0.0.1 through: always, or only for the first request
+const ALLOW_FIXTURE = { isBlockedAddress: (address) => address !== '127.0.0.1' && isPrivateAddress(address), allowAnyPort: true };
+const STRICT_ANY_PORT = { isBlockedAddress: isPrivateAddress, allowAnyPort: true };
+function allowFixtureOnce() {
+    let left = 1;
+    return { isBlockedAddress: (address) => !(address === '127.0.0.1' && left-- > 0) && isPrivateAddress(address), allowAnyPort: true };
+}
+
+let server, base;
+const hits = {};
+before(async () => {
+    server = http.createServer((req, res) => {
+        hits[req.url] = (hits[req.url] || 0) + 1;
+        const { port } = server.address();
+        if (req.url === '/page') {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            return res.end('<html><head><title>Fallback</title><meta property="og:title" content="Fixture &amp; Co">' +
+                '<meta property="og:description" content="A test page"><meta property="og:image" content="/img.png"></head><body></body></html>');
+        }
+        const redirects = {
+            '/to-loopback': `http://127.0.0.1:${port}/secret`,
+            '/to-mapped': `http://[::ffff:127.0.0.1]:${port}/secret`,
+            '/to-metadata': 'http://169.254.169.254/latest/meta-data/'
+        };
+        if (redirects[req.url]) {
+            res.writeHead(302, { Location: redirects[req.url] });
+            return res.end();
+        }
+        res.writeHead(404);
+        res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('isPrivateAddress blocks loopback, link-local and private ranges in every notation', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '169.254.169.254', '192.168.0.1', '::1', '::', 'fe80::1', 'fd00::1',
+        '::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:a9fe:a9fe', '::7f00:1', '::127.0.0.1', '::ffff:0:7f00:1', '0:0:0:0:0:ffff:7f00:1']) {
+        assert.strictEqual(isPrivateAddress(address), true, address);
+    }
+    for (const address of ['93.184.216.34', '8.8.8.8', '2606:4700:4700::1111', '::ffff:5db8:d822']) {
+        assert.strictEqual(isPrivateAddress(address), false, address);
+    }
+});
+
+test('unfurls OpenGraph metadata from an allowed page', async () => {
+    const preview = await unfurlUrl(`${base}/page`, ALLOW_FIXTURE);
+    assert.deepStrictEqual(preview, { url: `${base}/page`, title: 'Fixture & Co', description: 'A test page', image: `${base}/img.png`, siteName: '' });
+});
+
+test('refuses loopback addresses', async () => {
+    await assert.rejects(unfurlUrl(`${base}/page`, STRICT_ANY_PORT), /private/);
+    await assert.rejects(unfurlUrl(`${base}/page`), /Blocked/);
+});
+
+test('refuses IPv4-mapped IPv6 loopback in dotted and hex form', async () => {
+    const port = server.address().port;
+    await assert.rejects(unfurlUrl(`http://[::ffff:127.0.0.1]:${port}/page`, STRICT_ANY_PORT), /private/);
+    await assert.rejects(unfurlUrl(`http://[::ffff:7f00:1]:${port}/page`, STRICT_ANY_PORT), /private/);
+    await assert.rejects(unfurlUrl('http://[::ffff:a9fe:a9fe]/latest/meta-data/', STRICT_ANY_PORT), /private/);
+});
+
+test('refuses redirects to private addresses', async () => {
+    for (const path of ['/to-loopback', '/to-mapped', '/to-metadata']) {
+        await assert.rejects(unfurlUrl(`${base}${path}`, allowFixtureOnce()), /private/, path);
+        assert.strictEqual(hits[path], 1, path);
+    }
+    assert.strictEqual(hits['/secret'], undefined);
+});
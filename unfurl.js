@@ -0,0 +1,179 @@
+// --- LINK PREVIEW FETCHING ---
+// Fetches and parses pages for link preview cards with timeouts, size caps and private-address
+// blocking so the unfurler can't be pointed at internal services. Caching lives in server.js.
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+
+const TIMEOUT = 5000;
+const MAX_BYTES = 512 * 1024;
+const MAX_REDIRECTS = 3;
+
+const PRIVATE_V4 = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+    ['203.0.113.0', 24], ['224.0.0.0', 3]].forEach(([net4, prefix]) => PRIVATE_V4.addSubnet(net4, prefix, 'ipv4'));
+const PRIVATE_V6 = new net.BlockList();
+[['::', 128], ['::1', 128], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['100::', 64], ['2001:db8::', 32],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]].forEach(([net6, prefix]) => PRIVATE_V6.addSubnet(net6, prefix, 'ipv6'));
+
+// The IPv4 address inside ::ffff:0:0/96 (mapped), ::ffff:0:0:0/96 and ::/96 (compatible), in either
+// dotted or hex form, e.g. ::ffff:7f00:1 -> 127.0.0.1; null for any other IPv6 address
+function embeddedIPv4(address) {
+    let lower = address.toLowerCase().replace(/%.*$/, '');
+    const dotted = /(\d+\.\d+\.\d+\.\d+)$/.exec(lower);
+    if (dotted) {
+        if (!net.isIPv4(dotted[1])) return null;
+        const [a, b, c, d] = dotted[1].split('.').map(Number);
+        lower = lower.slice(0, dotted.index) + ((a << 8) | b).toString(16) + ':' + ((c << 8) | d).toString(16);
+    }
+    const [head, tail] = lower.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const groups = tail === undefined ? headGroups : [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+    if (groups.length !== 8) return null;
+    const g = groups.map(x => parseInt(x, 16));
+    if (g.slice(0, 4).some(x => x !== 0)) return null;
+    if (!((g[4] === 0 && (g[5] === 0xffff || g[5] === 0)) || (g[4] === 0xffff && g[5] === 0))) return null;
+    return [g[6] >> 8, g[6] & 255, g[7] >> 8, g[7] & 255].join('.');
+}
+function isPrivateAddress(address) {
+    if (net.isIPv4(address)) return PRIVATE_V4.check(address, 'ipv4');
+    if (!net.isIPv6(address)) return true;
+    const v4 = embeddedIPv4(address);
+    if (v4) return PRIVATE_V4.check(v4, 'ipv4');
+    return PRIVATE_V6.check(address.replace(/%.*$/, ''), 'ipv6');
+}
+
+// isBlockedAddress decides which resolved addresses may be fetched; UNFURL_ALLOW_PRIVATE=1 turns the
+// guard off (here and for outgoing webhooks), for local testing against a fixture server only, never in production
+const DEFAULT_POLICY = process.env.UNFURL_ALLOW_PRIVATE === '1'
+    ? { isBlockedAddress: () => false, allowAnyPort: true }
+    : { isBlockedAddress: isPrivateAddress, allowAnyPort: false };
+// Resolves once and pins the connection to that address, so DNS can't be swapped to an internal IP afterwards
+async function resolvePublicAddress(hostname, isBlocked = DEFAULT_POLICY.isBlockedAddress) {
+    const host = hostname.replace(/^\[|\]$/g, '');
+    const results = net.isIP(host) ? [{ address: host, family: net.isIP(host) }] : await dns.promises.lookup(host, { all: true });
+    if (!results.length) throw new Error('Host did not resolve');
+    if (results.some(r => isBlocked(r.address))) throw new Error('Blocked private address');
+    return results[0];
+}
+// A `lookup` for http(s).request that always answers with the already checked address
+function pinnedLookup(resolved) {
+    return (host, opts, cb) => (opts && opts.all)
+        ? cb(null, [{ address: resolved.address, family: resolved.family }])
+        : cb(null, resolved.address, resolved.family);
+}
+// GET with a hard timeout and size cap. Oversized bodies are cut off, which is fine for reading <head>.
+// Every redirect hop is checked against the same policy.
+async function fetchForUnfurl(targetUrl, policy = DEFAULT_POLICY, redirectsLeft = MAX_REDIRECTS) {
+    const url = new URL(targetUrl);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error('Unsupported protocol');
+    if (url.port && !['80', '443'].includes(url.port) && !policy.allowAnyPort) throw new Error('Blocked port');
+    const resolved = await resolvePublicAddress(url.hostname, policy.isBlockedAddress);
+    const client = url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+        const req = client.get(url, {
+            headers: { 'User-Agent': 'Mozilla/5.0 (compatible; CCCorpChat-LinkPreview/1.0)', 'Accept': 'text/html,application/json;q=0.9' },
+            lookup: pinnedLookup(resolved)
+        }, (res) => {
+            if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location) {
+                res.resume();
+                clearTimeout(deadline);
+                if (redirectsLeft <= 0) return reject(new Error('Too many redirects'));
+                return resolve(fetchForUnfurl(new URL(res.headers.location, url).href, policy, redirectsLeft - 1));
+            }
+            if (res.statusCode !== 200) { res.resume(); clearTimeout(deadline); return reject(new Error(`HTTP ${res.statusCode}`)); }
+
+            const chunks = [];
+            let size = 0;
+            const finish = () => {
+                clearTimeout(deadline);
+                resolve({ url: url.href, contentType: res.headers['content-type'] || '', body: Buffer.concat(chunks).toString('utf8') });
+            };
+            res.on('data', (chunk) => {
+                size += chunk.length;
+                chunks.push(chunk);
+                if (size >= MAX_BYTES) { res.destroy(); finish(); }
+            });
+            res.on('end', finish);
+            res.on('error', reject);
+        });
+        const deadline = setTimeout(() => req.destroy(new Error('Timed out')), TIMEOUT);
+        req.on('error', (err) => { clearTimeout(deadline); reject(err); });
+    });
+}
+
+function decodeEntities(str) {
+    return str
+        .replace(/&#(\d+);/g, (m, code) => String.fromCodePoint(parseInt(code, 10)))
+        .replace(/&#x([0-9a-f]+);/gi, (m, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&quot;/g, '"').replace(/&#39;|&apos;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+function parseTagAttributes(tag) {
+    const attrs = {};
+    const attrPattern = /([a-zA-Z_:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g;
+    let match;
+    while ((match = attrPattern.exec(tag))) attrs[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+    return attrs;
+}
+// Reads OpenGraph / Twitter / plain <meta> tags and the oEmbed discovery link
+function parseHtmlMetadata(html, pageUrl) {
+    const head = html.slice(0, html.search(/<\/head>/i) === -1 ? html.length : html.search(/<\/head>/i));
+    const meta = {};
+    (head.match(/<meta\s[^>]*>/gi) || []).forEach(tag => {
+        const attrs = parseTagAttributes(tag);
+        const key = (attrs.property || attrs.name || '').toLowerCase();
+        if (key && attrs.content && !meta[key]) meta[key] = attrs.content.trim();
+    });
+    let oembedUrl = null;
+    (head.match(/<link\s[^>]*>/gi) || []).forEach(tag => {
+        const attrs = parseTagAttributes(tag);
+        if (!oembedUrl && /json\+oembed/i.test(attrs.type || '') && attrs.href) oembedUrl = new URL(attrs.href, pageUrl).href;
+    });
+    const titleTag = /<title[^>]*>([^<]*)<\/title>/i.exec(head);
+    const image = meta['og:image'] || meta['twitter:image'];
+    return {
+        title: meta['og:title'] || meta['twitter:title'] || (titleTag ? decodeEntities(titleTag[1].trim()) : ''),
+        description: meta['og:description'] || meta['twitter:description'] || meta.description || '',
+        image: image ? new URL(image, pageUrl).href : '',
+        siteName: meta['og:site_name'] || '',
+        oembedUrl
+    };
+}
+
+// The preview card for a URL, or null when the page has nothing worth showing
+async function unfurlUrl(url, policy = DEFAULT_POLICY) {
+    const page = await fetchForUnfurl(url, policy);
+    let preview;
+    if (/application\/json/i.test(page.contentType)) {
+        preview = { title: '', description: '', image: '', siteName: '' };
+    } else if (/text\/html|application\/xhtml/i.test(page.contentType)) {
+        preview = parseHtmlMetadata(page.body, page.url);
+    } else {
+        return null;
+    }
+
+    // oEmbed fills in whatever OpenGraph left out
+    if (preview.oembedUrl) {
+        try {
+            const oembed = JSON.parse((await fetchForUnfurl(preview.oembedUrl, policy)).body);
+            preview.title = preview.title || oembed.title || '';
+            preview.siteName = preview.siteName || oembed.provider_name || '';
+            preview.image = preview.image || oembed.thumbnail_url || '';
+            if (!preview.description && oembed.author_name) preview.description = `by ${oembed.author_name}`;
+        } catch (e) { /* oEmbed is optional */ }
+    }
+    if (!preview.title && !preview.description) return null;
+    return {
+        url,
+        title: preview.title.slice(0, 200),
+        description: preview.description.slice(0, 400),
+        image: /^https?:\/\//.test(preview.image) ? preview.image : '',
+        siteName: preview.siteName.slice(0, 100)
+    };
+}
+
+module.exports = { isPrivateAddress, resolvePublicAddress, pinnedLookup, fetchForUnfurl, parseHtmlMetadata, unfurlUrl };